@@ -0,0 +1,266 @@
+// Authentication and role enforcement
+//
+// Verifies a signed token for Socket.IO connections and bridge HTTP routes,
+// and derives the caller's identity from it instead of trusting the client:
+//
+//   {
+//     "sub": "user-123",                 // userId
+//     "role": "broadcaster",             // broadcaster | viewer | admin
+//     "rooms": ["room-1"] | "*",         // rooms the user may join
+//     "streams": ["stream-1"] | "*",     // bridge streams the user may use
+//     "name": "Jane"                     // optional display name
+//   }
+//
+// Providers are pluggable (AUTH_PROVIDER): 'none' keeps the old open
+// behavior, 'jwt' verifies JWTs with JWT_SECRET (HS*) or JWT_PUBLIC_KEY /
+// JWT_PUBLIC_KEY_FILE (RS*/ES*). Custom providers can be added with
+// registerProvider(name, factory).
+
+import { createHash, timingSafeEqual } from 'crypto';
+import fs from 'fs';
+import jwt from 'jsonwebtoken';
+import { createLogger } from '../logging/logger.js';
+
+const log = createLogger('auth');
+
+export const ROLES = ['broadcaster', 'viewer', 'admin'];
+
+// Socket.IO events restricted to particular roles; any other event is open
+// to every authenticated role
+const EVENT_ROLES = {
+  'offer': ['broadcaster', 'admin'],
+  'stream-type': ['broadcaster', 'admin'],
+  'sfu-publish': ['broadcaster', 'admin'],
+};
+
+/**
+ * Error with an HTTP status and a machine-readable code
+ */
+export class AuthError extends Error {
+  constructor(message, status = 401, code = 'UNAUTHORIZED') {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * JWT provider
+ */
+function createJwtProvider() {
+  const secret = process.env.JWT_SECRET;
+  const publicKey = process.env.JWT_PUBLIC_KEY_FILE
+    ? fs.readFileSync(process.env.JWT_PUBLIC_KEY_FILE, 'utf8')
+    : process.env.JWT_PUBLIC_KEY?.replace(/\\n/g, '\n');
+
+  if (!secret && !publicKey) {
+    throw new Error('AUTH_PROVIDER=jwt requires JWT_SECRET or JWT_PUBLIC_KEY/JWT_PUBLIC_KEY_FILE');
+  }
+
+  const options = {
+    algorithms: secret ? ['HS256', 'HS384', 'HS512'] : ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'],
+    issuer: process.env.JWT_ISSUER || undefined,
+    audience: process.env.JWT_AUDIENCE || undefined,
+  };
+
+  return {
+    name: 'jwt',
+    verify(token) {
+      try {
+        return jwt.verify(token, secret || publicKey, options);
+      } catch (error) {
+        throw new AuthError(`Invalid token: ${error.message}`);
+      }
+    },
+  };
+}
+
+const providers = {
+  none: () => null,
+  jwt: createJwtProvider,
+};
+
+/**
+ * Register a custom provider. The factory returns { name, verify(token) }
+ * where verify returns token claims (see above) or throws.
+ */
+export function registerProvider(name, factory) {
+  providers[name] = factory;
+}
+
+/**
+ * Authenticator
+ */
+class Authenticator {
+  constructor() {
+    this.provider = undefined; // resolved lazily so custom providers can register first
+  }
+
+  getProvider() {
+    if (this.provider === undefined) {
+      const name = process.env.AUTH_PROVIDER || 'none';
+      const factory = providers[name];
+      if (!factory) {
+        throw new Error(`Unknown AUTH_PROVIDER "${name}"`);
+      }
+      this.provider = factory();
+      log.info({ provider: this.provider ? this.provider.name : 'none' }, this.provider ? 'Authentication enabled' : 'Authentication disabled');
+    }
+    return this.provider;
+  }
+
+  /**
+   * Whether authentication is enforced
+   */
+  isEnabled() {
+    return !!this.getProvider();
+  }
+
+  /**
+   * Verify a token and normalize its claims into a principal
+   */
+  authenticate(token) {
+    if (!token) {
+      throw new AuthError('Missing token');
+    }
+
+    const claims = this.getProvider().verify(token);
+    const userId = claims.sub || claims.userId;
+    const role = claims.role;
+
+    if (!userId) {
+      throw new AuthError('Token has no subject');
+    }
+    if (!ROLES.includes(role)) {
+      throw new AuthError(`Token role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    return {
+      userId: String(userId),
+      role,
+      name: claims.name || null,
+      rooms: claims.rooms ?? [],
+      streams: claims.streams ?? [],
+    };
+  }
+
+  /**
+   * Whether a principal may join a room
+   */
+  canJoinRoom(principal, roomId) {
+    if (!principal) {
+      return true;
+    }
+    return principal.role === 'admin' || principal.rooms === '*' || (Array.isArray(principal.rooms) && principal.rooms.includes(roomId));
+  }
+
+  /**
+   * Whether a principal may use a bridge stream
+   */
+  canAccessStream(principal, streamId) {
+    if (!principal) {
+      return true;
+    }
+    return principal.role === 'admin' || principal.streams === '*' || (Array.isArray(principal.streams) && principal.streams.includes(streamId));
+  }
+
+  /**
+   * Whether a principal may send a Socket.IO event
+   */
+  canSendEvent(principal, event) {
+    if (!principal) {
+      return true;
+    }
+    const roles = EVENT_ROLES[event];
+    return !roles || roles.includes(principal.role);
+  }
+
+  /**
+   * Socket.IO middleware: authenticates the handshake and stores the
+   * principal on socket.data.principal
+   *
+   * The token is read from `auth.token`, an `Authorization: Bearer` header
+   * or a `token` query parameter.
+   */
+  socketMiddleware() {
+    return (socket, next) => {
+      if (!this.isEnabled()) {
+        socket.data.principal = null;
+        return next();
+      }
+
+      const { auth = {}, headers = {}, query = {} } = socket.handshake;
+      const token = auth.token || getBearerToken(headers.authorization) || query.token;
+
+      try {
+        socket.data.principal = this.authenticate(token);
+        next();
+      } catch (error) {
+        log.warn({ socketId: socket.id, reason: error.message }, 'Rejected socket');
+        const rejection = new Error(error.message);
+        rejection.data = { code: error.code || 'UNAUTHORIZED' };
+        next(rejection);
+      }
+    };
+  }
+
+  /**
+   * Express middleware for bridge routes
+   *
+   * `roles` limits the route to those roles; `streamParam` names the route
+   * parameter holding the streamId the caller must have access to.
+   */
+  requireHttp({ roles = ROLES, streamParam = null } = {}) {
+    return (req, res, next) => {
+      if (!this.isEnabled()) {
+        req.principal = null;
+        return next();
+      }
+
+      try {
+        const principal = this.authenticate(getBearerToken(req.get('Authorization')));
+
+        if (!roles.includes(principal.role)) {
+          throw new AuthError(`Role ${principal.role} is not allowed to do this`, 403, 'FORBIDDEN');
+        }
+        if (streamParam && !this.canAccessStream(principal, req.params[streamParam])) {
+          throw new AuthError(`No access to stream ${req.params[streamParam]}`, 403, 'FORBIDDEN');
+        }
+
+        req.principal = principal;
+        next();
+      } catch (error) {
+        if (error.status === 401) {
+          res.set('WWW-Authenticate', 'Bearer');
+        }
+        res.status(error.status || 401).json({
+          error: error.message,
+          code: error.code || 'UNAUTHORIZED'
+        });
+      }
+    };
+  }
+}
+
+/**
+ * Extract a Bearer token from an Authorization header value
+ */
+export function getBearerToken(header) {
+  const match = /^Bearer\s+(.+)$/i.exec(header || '');
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Compare a presented token with a configured secret in constant time.
+ * Both are hashed first, so the comparison doesn't reveal the length either.
+ */
+export function isTokenEqual(token, expected) {
+  if (!token || !expected) {
+    return false;
+  }
+  const hash = value => createHash('sha256').update(String(value)).digest();
+  return timingSafeEqual(hash(token), hash(expected));
+}
+
+export default new Authenticator();
@@ -0,0 +1,272 @@
+// FFmpeg Pipeline
+//
+// Owns the FFmpeg child process for a single bridged stream and feeds it the
+// raw media pulled off the WebRTC tracks:
+//   - video: I420 frames from wrtc's RTCVideoSink, written to stdin (pipe:0)
+//   - audio: 16-bit PCM from wrtc's RTCAudioSink, written to fd 3 (pipe:3)
+//
+// The raw formats are only known once the first frames arrive, so the bridge
+// calls start() lazily with the negotiated frame size and sample layout.
+//
+// The encoded output is written as MPEG-TS to stdout and re-emitted as
+// 'data' chunks, so several outputs (see RTMPDestination) can share a single
+// encode.
+
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import { recordFfmpegExit } from '../metrics/metrics.js';
+import { createLogger } from '../logging/logger.js';
+
+const log = createLogger('ffmpeg');
+
+/**
+ * Resolve the FFmpeg binary: FFMPEG_PATH, then the bundled installer, then PATH
+ */
+export function getFfmpegPath() {
+  if (process.env.FFMPEG_PATH) {
+    return process.env.FFMPEG_PATH;
+  }
+  if (ffmpegInstaller && ffmpegInstaller.path) {
+    return ffmpegInstaller.path;
+  }
+  return 'ffmpeg';
+}
+
+/**
+ * Parse an FFmpeg progress line, e.g.
+ * "frame=  120 fps= 30 q=23.0 size=    1024kB time=00:00:04.00 bitrate=2097.2kbits/s speed=1.0x"
+ *
+ * Returns { frame, fps, sizeKb, time, bitrateKbps, speed }; fields FFmpeg did
+ * not report (or reported as N/A) are null.
+ */
+export function parseProgress(line) {
+  const field = (name) => {
+    const match = new RegExp(`${name}=\\s*([^\\s]+)`).exec(line);
+    return match && match[1] !== 'N/A' ? match[1] : null;
+  };
+  const number = (value) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  };
+
+  return {
+    frame: number(field('frame')),
+    fps: number(field('fps')),
+    sizeKb: number(field('size')),
+    time: field('time'),
+    bitrateKbps: number(field('bitrate')),
+    speed: number(field('speed')),
+  };
+}
+
+/**
+ * FFmpeg Pipeline
+ *
+ * Emits:
+ *   - 'data' (chunk)           encoded MPEG-TS output
+ *   - 'progress' (line)        one FFmpeg progress line (frame=, time=, ...)
+ *   - 'error' (error)          spawn failure (e.g. FFmpeg not installed)
+ *   - 'exit' (code, signal)    the process exited without stop() being called
+ */
+class FFmpegPipeline extends EventEmitter {
+  constructor(streamId, outputArgs) {
+    super();
+    this.streamId = streamId;
+    this.log = log.child({ streamId, process: 'encoder' });
+    this.outputArgs = outputArgs;
+    this.process = null;
+    this.videoFormat = null; // { width, height }
+    this.audioFormat = null; // { sampleRate, channelCount }
+    this.droppedVideoFrames = 0;
+    this.droppedAudioFrames = 0;
+  }
+
+  /**
+   * Build FFmpeg input arguments for the raw media we are about to pipe in
+   */
+  buildInputArgs() {
+    const args = ['-hide_banner', '-nostdin', '-loglevel', 'info'];
+
+    if (this.videoFormat) {
+      args.push(
+        '-use_wallclock_as_timestamps', '1',
+        '-f', 'rawvideo',
+        '-pix_fmt', 'yuv420p',
+        '-s', `${this.videoFormat.width}x${this.videoFormat.height}`,
+        '-i', 'pipe:0'
+      );
+    }
+
+    if (this.audioFormat) {
+      args.push(
+        '-use_wallclock_as_timestamps', '1',
+        '-f', 's16le',
+        '-ar', String(this.audioFormat.sampleRate),
+        '-ac', String(this.audioFormat.channelCount),
+        '-i', 'pipe:3'
+      );
+    }
+
+    return args;
+  }
+
+  /**
+   * Spawn FFmpeg for the given raw formats. Either format may be null.
+   */
+  start(videoFormat, audioFormat) {
+    if (this.process) {
+      return;
+    }
+
+    this.videoFormat = videoFormat;
+    this.audioFormat = audioFormat;
+
+    const args = [...this.buildInputArgs(), ...this.outputArgs];
+    this.log.info({ video: videoFormat, audio: audioFormat }, 'Starting FFmpeg');
+
+    const ffmpegProcess = spawn(getFfmpegPath(), args, {
+      stdio: ['pipe', 'pipe', 'pipe', 'pipe']
+    });
+    this.process = ffmpegProcess;
+
+    ffmpegProcess.stdout.on('data', (chunk) => {
+      this.emit('data', chunk);
+    });
+
+    // Writes after FFmpeg exits raise EPIPE on the pipes; the exit itself is
+    // reported through 'close', so these are only logged.
+    for (const pipe of [ffmpegProcess.stdin, ffmpegProcess.stdio[3]]) {
+      pipe.on('error', (error) => {
+        if (error.code !== 'EPIPE') {
+          this.log.error({ err: error }, 'FFmpeg pipe error');
+        }
+      });
+    }
+
+    // Progress lines end in \r rather than \n, and chunks can end mid-line,
+    // so stderr is split on both and the trailing partial line is kept
+    let pendingStderr = '';
+    ffmpegProcess.stderr.on('data', (data) => {
+      const lines = (pendingStderr + data.toString()).split(/[\r\n]+/);
+      pendingStderr = lines.pop();
+
+      for (const line of lines.map(line => line.trim()).filter(Boolean)) {
+        if (line.startsWith('frame=') || line.startsWith('size=')) {
+          this.emit('progress', line);
+        } else if (/error|failed/i.test(line)) {
+          this.log.error({ output: line }, 'FFmpeg error');
+        }
+      }
+    });
+
+    ffmpegProcess.on('close', (code, signal) => {
+      if (this.process === ffmpegProcess) {
+        this.process = null;
+      }
+      this.log.info({ code, signal, expected: !!ffmpegProcess.stopRequested }, 'FFmpeg exited');
+      recordFfmpegExit('encoder', code, signal, ffmpegProcess.stopRequested);
+      if (!ffmpegProcess.stopRequested) {
+        this.emit('exit', code, signal);
+      }
+    });
+
+    ffmpegProcess.on('error', (error) => {
+      if (error.code === 'ENOENT') {
+        this.log.error({ err: error }, 'FFmpeg not found. Install FFmpeg or set FFMPEG_PATH');
+      } else {
+        this.log.error({ err: error }, 'FFmpeg process error');
+      }
+      this.emit('error', error);
+    });
+  }
+
+  /**
+   * Whether FFmpeg is running and accepting media
+   */
+  isRunning() {
+    return !!this.process && !this.process.killed;
+  }
+
+  /**
+   * Write one I420 frame from RTCVideoSink
+   */
+  writeVideoFrame(frame) {
+    if (!this.isRunning() || !this.videoFormat) {
+      return;
+    }
+
+    const stdin = this.process.stdin;
+    // Drop frames rather than buffer without bound when FFmpeg falls behind
+    if (stdin.writableNeedDrain) {
+      this.droppedVideoFrames++;
+      return;
+    }
+
+    stdin.write(Buffer.from(frame.data.buffer, frame.data.byteOffset, frame.data.byteLength));
+  }
+
+  /**
+   * Write one PCM chunk from RTCAudioSink
+   */
+  writeAudioSamples(samples) {
+    if (!this.isRunning() || !this.audioFormat) {
+      return;
+    }
+
+    const audioPipe = this.process.stdio[3];
+    if (audioPipe.writableNeedDrain) {
+      this.droppedAudioFrames++;
+      return;
+    }
+
+    audioPipe.write(Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength));
+  }
+
+  /**
+   * Close the input pipes so FFmpeg can flush, then kill it if it lingers
+   */
+  stop(timeout = 5000) {
+    const ffmpegProcess = this.process;
+    if (!ffmpegProcess) {
+      return Promise.resolve();
+    }
+
+    ffmpegProcess.stopRequested = true;
+    this.process = null;
+
+    return new Promise((resolve) => {
+      if (ffmpegProcess.exitCode !== null || ffmpegProcess.signalCode !== null) {
+        resolve();
+        return;
+      }
+
+      const killTimer = setTimeout(() => {
+        if (ffmpegProcess.exitCode === null && ffmpegProcess.signalCode === null) {
+          ffmpegProcess.kill('SIGKILL');
+        }
+      }, timeout);
+
+      ffmpegProcess.once('close', () => {
+        clearTimeout(killTimer);
+        resolve();
+      });
+
+      this.closeInput(ffmpegProcess);
+    });
+  }
+
+  /**
+   * Let FFmpeg know no more media is coming, so it flushes and exits
+   */
+  closeInput(ffmpegProcess) {
+    try {
+      ffmpegProcess.stdin.end();
+      ffmpegProcess.stdio[3].end();
+    } catch (error) {
+      ffmpegProcess.kill('SIGTERM');
+    }
+  }
+}
+
+export default FFmpegPipeline;
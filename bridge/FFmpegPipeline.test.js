@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FFmpegPipeline, { parseProgress } from './FFmpegPipeline.js';
+
+const OUTPUT_ARGS = ['-c:v', 'libx264', '-preset', 'ultrafast', '-c:a', 'aac', '-f', 'mpegts', 'pipe:1'];
+
+test('parseProgress reads FFmpeg progress lines', () => {
+  assert.deepEqual(
+    parseProgress('frame=  120 fps= 30 q=23.0 size=    1024kB time=00:00:04.00 bitrate=2097.2kbits/s speed=1.0x'),
+    { frame: 120, fps: 30, sizeKb: 1024, time: '00:00:04.00', bitrateKbps: 2097.2, speed: 1 }
+  );
+  assert.equal(parseProgress('size=N/A time=00:00:01.00 bitrate=N/A speed=N/A').bitrateKbps, null);
+});
+
+test('raw video frames and PCM audio come out as MPEG-TS', async () => {
+  const pipeline = new FFmpegPipeline('stream-1', OUTPUT_ARGS);
+  const chunks = [];
+  pipeline.on('data', chunk => chunks.push(chunk));
+
+  pipeline.start({ width: 64, height: 64 }, { sampleRate: 48000, channelCount: 1 });
+  assert.ok(pipeline.isRunning());
+
+  // 1s of grey I420 frames at 10fps and 10ms PCM chunks
+  const frame = { data: new Uint8Array(64 * 64 * 1.5).fill(128) };
+  const samples = new Int16Array(480);
+  for (let i = 0; i < 100; i++) {
+    if (i % 10 === 0) {
+      pipeline.writeVideoFrame(frame);
+    }
+    pipeline.writeAudioSamples(samples);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  await pipeline.stop();
+
+  const output = Buffer.concat(chunks);
+  assert.ok(output.length > 0, 'no encoded output');
+  assert.equal(output.length % 188, 0);
+  for (let offset = 0; offset < output.length; offset += 188) {
+    assert.equal(output[offset], 0x47, `missing sync byte at ${offset}`);
+  }
+});
@@ -0,0 +1,119 @@
+// FFmpeg Supervisor
+//
+// Restart policy for one FFmpeg child (the encoder or a destination relay).
+// When the process exits without being stopped, the supervisor schedules a
+// restart with exponential backoff (FFMPEG_RESTART_DELAY_MS, doubling up to
+// FFMPEG_RESTART_MAX_DELAY_MS) and gives up after FFMPEG_MAX_RESTARTS
+// consecutive failures. A process that stayed up for STABLE_RUN_MS counts as
+// recovered, so the next failure starts the backoff over.
+
+import { EventEmitter } from 'events';
+
+const STABLE_RUN_MS = 60000;
+const MAX_HISTORY = 20;
+
+const MAX_RESTARTS = parseInt(process.env.FFMPEG_MAX_RESTARTS ?? '5', 10);
+const RESTART_DELAY_MS = parseInt(process.env.FFMPEG_RESTART_DELAY_MS ?? '1000', 10);
+const RESTART_MAX_DELAY_MS = parseInt(process.env.FFMPEG_RESTART_MAX_DELAY_MS ?? '30000', 10);
+
+/**
+ * FFmpeg Supervisor
+ *
+ * Emits:
+ *   - 'restart' (attempt)      the backoff elapsed; the owner respawns FFmpeg
+ *   - 'give-up' (exit)         FFMPEG_MAX_RESTARTS consecutive failures
+ */
+class FFmpegSupervisor extends EventEmitter {
+  constructor({
+    maxRestarts = MAX_RESTARTS,
+    delayMs = RESTART_DELAY_MS,
+    maxDelayMs = RESTART_MAX_DELAY_MS,
+  } = {}) {
+    super();
+    this.maxRestarts = maxRestarts;
+    this.delayMs = delayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.attempts = 0; // consecutive failures
+    this.restarts = 0; // total restarts
+    this.history = []; // [{ exitedAt, code, signal, delayMs }], newest last
+    this.startedAt = null;
+    this.timer = null;
+    this.pendingRestartAt = null;
+    this.gaveUp = false;
+  }
+
+  /**
+   * Record that the supervised process was (re)spawned
+   */
+  processStarted() {
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Handle an exit that was not requested. Returns true when a restart is
+   * scheduled, false when the supervisor gave up.
+   */
+  processExited(code, signal) {
+    if (this.startedAt && Date.now() - this.startedAt >= STABLE_RUN_MS) {
+      this.attempts = 0;
+    }
+    this.startedAt = null;
+    this.cancel();
+
+    const exit = { exitedAt: new Date().toISOString(), code, signal, delayMs: null };
+    this.history.push(exit);
+    if (this.history.length > MAX_HISTORY) {
+      this.history.shift();
+    }
+
+    if (this.attempts >= this.maxRestarts) {
+      this.gaveUp = true;
+      this.emit('give-up', exit);
+      return false;
+    }
+
+    exit.delayMs = Math.min(this.delayMs * 2 ** this.attempts, this.maxDelayMs);
+    this.attempts++;
+    this.pendingRestartAt = Date.now() + exit.delayMs;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.pendingRestartAt = null;
+      this.restarts++;
+      this.emit('restart', this.attempts);
+    }, exit.delayMs);
+    this.timer.unref();
+    return true;
+  }
+
+  /**
+   * Whether a restart is waiting for its backoff to elapse
+   */
+  isPending() {
+    return !!this.timer;
+  }
+
+  /**
+   * Cancel a pending restart (e.g. the stream is being cleaned up)
+   */
+  cancel() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pendingRestartAt = null;
+  }
+
+  /**
+   * Restart history for the API
+   */
+  getStatus() {
+    return {
+      restarts: this.restarts,
+      consecutiveFailures: this.attempts,
+      maxRestarts: this.maxRestarts,
+      nextRestartAt: this.pendingRestartAt ? new Date(this.pendingRestartAt).toISOString() : null,
+      gaveUp: this.gaveUp,
+      history: this.history,
+    };
+  }
+}
+
+export default FFmpegSupervisor;
@@ -0,0 +1,122 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import FFmpegSupervisor from './FFmpegSupervisor.js';
+
+/**
+ * Wait for the supervisor's next restart; its timer is unref'd, so this one
+ * keeps the test alive meanwhile
+ */
+async function nextRestart(supervisor, timeout = 1000) {
+  let timer;
+  try {
+    const [attempt] = await Promise.race([
+      once(supervisor, 'restart'),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('No restart')), timeout);
+      }),
+    ]);
+    return attempt;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('restarts back off exponentially up to the maximum delay', async () => {
+  const supervisor = new FFmpegSupervisor({ maxRestarts: 5, delayMs: 10, maxDelayMs: 40 });
+
+  for (let attempt = 1; attempt <= 4; attempt++) {
+    supervisor.processStarted();
+    assert.equal(supervisor.processExited(1, null), true);
+    assert.ok(supervisor.isPending());
+    assert.equal(await nextRestart(supervisor), attempt);
+  }
+
+  assert.deepEqual(supervisor.history.map(exit => exit.delayMs), [10, 20, 40, 40]);
+  assert.equal(supervisor.restarts, 4);
+});
+
+test('gives up after maxRestarts consecutive failures', async () => {
+  const supervisor = new FFmpegSupervisor({ maxRestarts: 2, delayMs: 5, maxDelayMs: 5 });
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    supervisor.processStarted();
+    assert.equal(supervisor.processExited(1, null), true);
+    await nextRestart(supervisor);
+  }
+
+  supervisor.processStarted();
+  const gaveUp = once(supervisor, 'give-up');
+  assert.equal(supervisor.processExited(null, 'SIGSEGV'), false);
+
+  const [exit] = await gaveUp;
+  assert.equal(exit.signal, 'SIGSEGV');
+  assert.equal(exit.delayMs, null);
+  assert.equal(supervisor.gaveUp, true);
+  assert.equal(supervisor.isPending(), false);
+});
+
+test('a stable run starts the backoff over', async () => {
+  let now = 1700000000000;
+  mock.method(Date, 'now', () => now);
+  const supervisor = new FFmpegSupervisor({ maxRestarts: 5, delayMs: 10, maxDelayMs: 1000 });
+
+  supervisor.processStarted();
+  supervisor.processExited(1, null);
+  await nextRestart(supervisor);
+  supervisor.processStarted();
+  supervisor.processExited(1, null);
+  await nextRestart(supervisor);
+  assert.equal(supervisor.getStatus().consecutiveFailures, 2);
+
+  // Up for a minute before failing again
+  supervisor.processStarted();
+  now += 60000;
+  supervisor.processExited(1, null);
+
+  assert.equal(supervisor.history.at(-1).delayMs, 10);
+  assert.equal(supervisor.getStatus().consecutiveFailures, 1);
+  supervisor.cancel();
+});
+
+test('cancel() drops a pending restart', async () => {
+  const supervisor = new FFmpegSupervisor({ maxRestarts: 5, delayMs: 10, maxDelayMs: 10 });
+  let restarted = false;
+  supervisor.on('restart', () => {
+    restarted = true;
+  });
+
+  supervisor.processStarted();
+  supervisor.processExited(1, null);
+  assert.ok(supervisor.getStatus().nextRestartAt);
+
+  supervisor.cancel();
+  assert.equal(supervisor.isPending(), false);
+  assert.equal(supervisor.getStatus().nextRestartAt, null);
+
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.equal(restarted, false);
+  assert.equal(supervisor.restarts, 0);
+});
+
+test('status reports the latest exits, oldest first', () => {
+  const supervisor = new FFmpegSupervisor({ maxRestarts: 100, delayMs: 10, maxDelayMs: 10 });
+
+  for (let code = 1; code <= 25; code++) {
+    supervisor.processStarted();
+    supervisor.processExited(code, null);
+  }
+  supervisor.cancel();
+
+  const status = supervisor.getStatus();
+  assert.equal(status.history.length, 20);
+  assert.deepEqual(status.history.map(exit => exit.code), Array.from({ length: 20 }, (_, index) => index + 6));
+  assert.deepEqual(Object.keys(status.history[0]).sort(), ['code', 'delayMs', 'exitedAt', 'signal']);
+  assert.equal(status.consecutiveFailures, 25);
+  assert.equal(status.maxRestarts, 100);
+  assert.equal(status.gaveUp, false);
+});
@@ -0,0 +1,191 @@
+// HLS Output
+//
+// Writes a rolling HLS playlist for a bridged stream so it can be played
+// straight from this server (GET /live/:streamId/index.m3u8), without Mux.
+//
+// Without a rendition ladder the encoder's MPEG-TS output is segmented as-is
+// (copy only). With HLS_RENDITIONS set, the stream is re-encoded into each
+// rendition and index.m3u8 becomes a master playlist.
+
+import fs from 'fs';
+import path from 'path';
+import RTMPDestination from './RTMPDestination.js';
+
+// Segment and playlist file names the /live route is allowed to serve
+export const HLS_FILE_PATTERN = /^[A-Za-z0-9_-]+\.(m3u8|ts)$/;
+
+// Stream ids that can be served as HLS; they name the output directory
+export const HLS_STREAM_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Get the HLS output directory for a stream
+ */
+export function getHlsDirectory(streamId) {
+  if (!HLS_STREAM_ID_PATTERN.test(streamId)) {
+    throw new Error(`Stream id "${streamId}" can't name an HLS directory`);
+  }
+  const baseDirectory = path.resolve(process.env.HLS_DIR || './hls');
+  return path.join(baseDirectory, streamId);
+}
+
+/**
+ * Parse HLS_RENDITIONS, e.g. "1280x720@2500k,854x480@1200k,640x360@600k"
+ */
+export function parseRenditions(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+    const match = /^(\d+)x(\d+)@(\d+k)$/.exec(entry);
+    if (!match) {
+      throw new Error(`Invalid HLS rendition "${entry}" (expected WIDTHxHEIGHT@BITRATEk)`);
+    }
+    return {
+      width: Number(match[1]),
+      height: Number(match[2]),
+      videoBitrate: match[3],
+    };
+  });
+}
+
+/**
+ * HLS Output
+ */
+class HLSOutput extends RTMPDestination {
+  constructor(streamId, { shortSegments = process.env.HLS_SHORT_SEGMENTS === 'true', renditions = parseRenditions(process.env.HLS_RENDITIONS) } = {}) {
+    super(streamId, { id: 'hls', url: null });
+    this.outputType = 'hls';
+    this.directory = getHlsDirectory(streamId);
+    this.url = this.directory;
+    this.segmentDuration = shortSegments ? 1 : 4;
+    this.renditions = renditions;
+    this.directoryPrepared = false;
+    this.hasAudio = true; // set by the bridge before start()
+  }
+
+  /**
+   * Segmenting options. Short segments cut a few seconds of player delay at
+   * the cost of more requests; this is plain HLS, not LL-HLS (no partial
+   * segments or blocking playlist reloads).
+   */
+  buildHlsArgs() {
+    return [
+      '-f', 'hls',
+      '-hls_time', String(this.segmentDuration),
+      '-hls_list_size', this.segmentDuration === 1 ? '6' : '5',
+      // append_list keeps the media sequence going across encoder restarts
+      '-hls_flags', 'delete_segments+independent_segments+program_date_time+append_list+discont_start',
+    ];
+  }
+
+  /**
+   * Build FFmpeg arguments for the HLS output
+   */
+  buildArgs() {
+    const inputArgs = [
+      '-hide_banner', '-nostdin', '-loglevel', 'error',
+      '-f', 'mpegts',
+      '-i', 'pipe:0',
+    ];
+
+    if (this.renditions.length === 0) {
+      return [
+        ...inputArgs,
+        '-map', '0',
+        '-c', 'copy',
+        ...this.buildHlsArgs(),
+        '-hls_segment_filename', path.join(this.directory, 'segment_%05d.ts'),
+        path.join(this.directory, 'index.m3u8')
+      ];
+    }
+
+    const split = this.renditions.map((_, index) => `[v${index}]`).join('');
+    const scales = this.renditions
+      .map((rendition, index) => `[v${index}]scale=w=${rendition.width}:h=${rendition.height}[v${index}out]`)
+      .join(';');
+
+    const args = [
+      ...inputArgs,
+      '-filter_complex', `[0:v]split=${this.renditions.length}${split};${scales}`,
+    ];
+
+    this.renditions.forEach((rendition, index) => {
+      args.push('-map', `[v${index}out]`);
+      if (this.hasAudio) {
+        args.push('-map', '0:a');
+      }
+      args.push(
+        `-c:v:${index}`, 'libx264',
+        `-b:v:${index}`, rendition.videoBitrate,
+        `-maxrate:v:${index}`, rendition.videoBitrate,
+        `-bufsize:v:${index}`, `${parseInt(rendition.videoBitrate, 10) * 2}k`
+      );
+    });
+
+    args.push(
+      '-preset', 'veryfast',
+      '-tune', 'zerolatency',
+      '-g', '30',
+      '-sc_threshold', '0',
+      '-c:a', 'aac',
+      '-b:a', '128k',
+      ...this.buildHlsArgs(),
+      '-var_stream_map', this.renditions.map((_, index) => (this.hasAudio ? `v:${index},a:${index}` : `v:${index}`)).join(' '),
+      '-master_pl_name', 'index.m3u8',
+      '-hls_segment_filename', path.join(this.directory, 'stream_%v_%05d.ts'),
+      path.join(this.directory, 'stream_%v.m3u8')
+    );
+
+    return args;
+  }
+
+  /**
+   * The bundled static FFmpeg warns about renames on every HLS run
+   */
+  isExpectedStderr(line) {
+    return super.isExpectedStderr(line) || line.includes('Cannot use rename on non file protocol');
+  }
+
+  /**
+   * Start segmenting; the first start clears segments from a previous session
+   */
+  start() {
+    if (this.process) {
+      return;
+    }
+
+    if (!this.directoryPrepared) {
+      fs.rmSync(this.directory, { recursive: true, force: true });
+      fs.mkdirSync(this.directory, { recursive: true });
+      this.directoryPrepared = true;
+    }
+
+    super.start();
+  }
+
+  /**
+   * Delete the playlist and segments (after stop())
+   */
+  async removeFiles() {
+    await fs.promises.rm(this.directory, { recursive: true, force: true });
+    this.directoryPrepared = false;
+  }
+
+  /**
+   * Status for the API
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      error: this.error,
+      playlistUrl: `/live/${encodeURIComponent(this.streamId)}/index.m3u8`,
+      segmentDuration: this.segmentDuration,
+      renditions: this.renditions.map(rendition => `${rendition.width}x${rendition.height}@${rendition.videoBitrate}`),
+      startedAt: this.startedAt,
+      restarts: this.supervisor.getStatus(),
+    };
+  }
+}
+
+export default HLSOutput;
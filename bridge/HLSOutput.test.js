@@ -0,0 +1,57 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { once } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import HLSOutput, { getHlsDirectory } from './HLSOutput.js';
+import { getFfmpegPath } from './FFmpegPipeline.js';
+
+describe('HLS output', () => {
+  let hlsDir;
+  let media;
+
+  before(() => {
+    hlsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-test-'));
+    process.env.HLS_DIR = hlsDir;
+
+    // 3s of H.264 with a keyframe every second, as the encoder would produce
+    const generated = spawnSync(getFfmpegPath(), [
+      '-hide_banner', '-loglevel', 'error',
+      '-f', 'lavfi', '-i', 'testsrc=size=64x64:rate=10',
+      '-t', '3', '-c:v', 'libx264', '-g', '10', '-f', 'mpegts', 'pipe:1',
+    ], { maxBuffer: 4 * 1024 * 1024 });
+    assert.equal(generated.status, 0, generated.stderr.toString());
+    media = generated.stdout;
+  });
+
+  after(() => {
+    delete process.env.HLS_DIR;
+    fs.rmSync(hlsDir, { recursive: true, force: true });
+  });
+
+  test('rejects stream ids that are not safe directory names', () => {
+    for (const streamId of ['../escape', 'a.b', 'a/b', '']) {
+      assert.throws(() => getHlsDirectory(streamId), /can't name an HLS directory/, streamId);
+    }
+    assert.equal(getHlsDirectory('Stream_1-a'), path.join(hlsDir, 'Stream_1-a'));
+  });
+
+  test('short segments produce a playlist with 1s target duration', async () => {
+    const output = new HLSOutput('short', { shortSegments: true, renditions: [] });
+    output.start();
+    output.write(media);
+    output.process.stdin.end();
+    await once(output.process, 'close');
+
+    const playlist = fs.readFileSync(path.join(hlsDir, 'short', 'index.m3u8'), 'utf8');
+    assert.match(playlist, /#EXT-X-TARGETDURATION:1\n/);
+    assert.ok(playlist.match(/\.ts\n/g).length >= 3, playlist);
+    assert.equal(output.getStatus().segmentDuration, 1);
+
+    await output.stop();
+    await output.removeFiles();
+    assert.equal(fs.existsSync(path.join(hlsDir, 'short')), false);
+  });
+});
@@ -0,0 +1,260 @@
+// RTMP Destination
+//
+// One output of a bridged stream. Takes the encoder's MPEG-TS output and
+// relays it to an RTMP ingest with a copy-only FFmpeg process, so each
+// destination can be added, removed or fail without touching the others and
+// without encoding the stream again. A relay that drops (e.g. the RTMP ingest
+// disconnects) is restarted by its FFmpegSupervisor.
+
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { getFfmpegPath } from './FFmpegPipeline.js';
+import FFmpegSupervisor from './FFmpegSupervisor.js';
+import { ffmpegRestarts, recordFfmpegExit } from '../metrics/metrics.js';
+import { createLogger, redactUrl } from '../logging/logger.js';
+
+const log = createLogger('ffmpeg');
+
+// Drop encoder output for a destination that stops draining past this point
+const MAX_BUFFERED_BYTES = 8 * 1024 * 1024;
+
+/**
+ * RTMP Destination
+ *
+ * States: 'idle' -> 'connecting' -> 'live' -> 'stopped' | 'failed', with
+ * 'restarting' while a dropped relay waits for its backoff
+ *
+ * Emits:
+ *   - 'state' (state)          state changes
+ *   - 'exit' (code, signal)    the relay exited without stop() being called
+ *                              and the supervisor gave up restarting it
+ */
+class RTMPDestination extends EventEmitter {
+  constructor(streamId, { id, url, streamKey }) {
+    super();
+    this.streamId = streamId;
+    this.id = id;
+    this.url = url;
+    this.streamKey = streamKey || null;
+    this.outputType = 'rtmp'; // metrics label
+    this.process = null;
+    this.state = 'idle';
+    this.error = null;
+    this.startedAt = null;
+    this.bytesSent = 0;
+    this.droppedBytes = 0;
+
+    this.supervisor = new FFmpegSupervisor();
+    this.supervisor.on('restart', (attempt) => {
+      this.log.info({ attempt }, 'Restarting destination');
+      ffmpegRestarts.inc({ reason: `${this.outputType}-exit` });
+      this.start();
+    });
+  }
+
+  /**
+   * Full publish URL: base URL plus stream key as the last path segment
+   */
+  getPublishUrl() {
+    return this.streamKey ? `${this.url.replace(/\/+$/, '')}/${this.streamKey}` : this.url;
+  }
+
+  /**
+   * Build FFmpeg arguments for the relay
+   */
+  buildArgs() {
+    return [
+      '-hide_banner', '-nostdin', '-loglevel', 'error',
+      '-f', 'mpegts',
+      '-i', 'pipe:0',
+      '-map', '0',
+      '-c', 'copy',
+      // ADTS AAC from MPEG-TS needs converting for FLV
+      '-bsf:a', 'aac_adtstoasc',
+      '-f', 'flv',
+      '-flvflags', 'no_duration_filesize',
+      this.getPublishUrl()
+    ];
+  }
+
+  /**
+   * Remove the stream key from FFmpeg output, which echoes the publish URL.
+   * The key may be part of the URL itself rather than a separate streamKey.
+   */
+  scrub(text) {
+    const publishUrl = this.getPublishUrl();
+    const scrubbed = text.split(publishUrl).join(redactUrl(publishUrl));
+    return this.streamKey ? scrubbed.split(this.streamKey).join('[REDACTED]') : scrubbed;
+  }
+
+  /**
+   * Whether an FFmpeg stderr line is expected noise rather than a failure.
+   * A relay joining mid-stream reports decoder errors until the next keyframe.
+   */
+  isExpectedStderr(line) {
+    return /^\[h264 @|Last message repeated/.test(line);
+  }
+
+  setState(state, error = null) {
+    this.state = state;
+    this.error = error;
+    this.emit('state', state);
+  }
+
+  /**
+   * Spawn the relay process
+   */
+  start() {
+    if (this.process) {
+      return;
+    }
+
+    this.log = log.child({ streamId: this.streamId, destinationId: this.id, process: this.outputType });
+    this.log.info({ url: redactUrl(this.url) }, 'Starting destination');
+
+    const relayProcess = spawn(getFfmpegPath(), this.buildArgs(), {
+      stdio: ['pipe', 'ignore', 'pipe']
+    });
+    this.process = relayProcess;
+    this.startedAt = new Date().toISOString();
+    this.supervisor.processStarted();
+    this.setState('connecting');
+
+    relayProcess.stdin.on('error', (error) => {
+      if (error.code !== 'EPIPE') {
+        this.log.error({ err: error }, 'Destination pipe error');
+      }
+    });
+
+    // stderr chunks can end mid-line, so only complete lines are checked
+    let pendingStderr = '';
+    relayProcess.stderr.on('data', (data) => {
+      const lines = (pendingStderr + data.toString()).split('\n');
+      pendingStderr = lines.pop();
+
+      const output = this.scrub(lines
+        .filter(line => line.trim() && !this.isExpectedStderr(line.trim()))
+        .join('\n')
+        .trim());
+      if (output) {
+        this.log.error({ output }, 'Destination error');
+        this.error = output;
+      }
+    });
+
+    relayProcess.on('close', (code, signal) => {
+      if (this.process === relayProcess) {
+        this.process = null;
+      }
+      this.log.info({ code, signal, expected: !!relayProcess.stopRequested }, 'Destination exited');
+      recordFfmpegExit(this.outputType, code, signal, relayProcess.stopRequested);
+
+      const error = this.error || `FFmpeg exited with code ${code}`;
+      if (relayProcess.stopRequested) {
+        this.setState('stopped');
+      } else if (this.supervisor.processExited(code, signal)) {
+        this.log.warn({ code, signal, delayMs: this.supervisor.history.at(-1).delayMs }, 'Destination dropped, restarting');
+        this.setState('restarting', error);
+      } else {
+        this.log.error({ code, signal, restarts: this.supervisor.restarts }, 'Destination kept failing, giving up');
+        this.setState('failed', error);
+        this.emit('exit', code, signal);
+      }
+    });
+
+    relayProcess.on('error', (error) => {
+      this.log.error({ err: error }, 'Destination process error');
+      this.setState('failed', this.scrub(error.message));
+    });
+  }
+
+  /**
+   * Whether the relay process is running
+   */
+  isRunning() {
+    return !!this.process && !this.process.killed;
+  }
+
+  /**
+   * Write a chunk of encoder output
+   */
+  write(chunk) {
+    if (!this.isRunning()) {
+      return;
+    }
+
+    const stdin = this.process.stdin;
+    if (stdin.writableLength > MAX_BUFFERED_BYTES) {
+      this.droppedBytes += chunk.length;
+      return;
+    }
+
+    stdin.write(chunk);
+    this.bytesSent += chunk.length;
+
+    if (this.state === 'connecting') {
+      this.setState('live');
+    }
+  }
+
+  /**
+   * Close the relay's input so it can flush, then kill it if it lingers
+   */
+  stop(timeout = 5000) {
+    this.supervisor.cancel();
+
+    const relayProcess = this.process;
+    if (!relayProcess) {
+      if (this.state !== 'failed') {
+        this.setState('stopped');
+      }
+      return Promise.resolve();
+    }
+
+    relayProcess.stopRequested = true;
+    this.process = null;
+
+    return new Promise((resolve) => {
+      if (relayProcess.exitCode !== null || relayProcess.signalCode !== null) {
+        resolve();
+        return;
+      }
+
+      const killTimer = setTimeout(() => {
+        if (!relayProcess.killed) {
+          relayProcess.kill('SIGKILL');
+        }
+      }, timeout);
+
+      relayProcess.once('close', () => {
+        clearTimeout(killTimer);
+        resolve();
+      });
+
+      try {
+        relayProcess.stdin.end();
+      } catch (error) {
+        relayProcess.kill('SIGTERM');
+      }
+    });
+  }
+
+  /**
+   * Status for the API. Neither the stream key nor a key embedded in the
+   * URL is included.
+   */
+  getStatus() {
+    return {
+      id: this.id,
+      url: redactUrl(this.url),
+      state: this.state,
+      error: this.error,
+      startedAt: this.startedAt,
+      bytesSent: this.bytesSent,
+      droppedBytes: this.droppedBytes,
+      restarts: this.supervisor.getStatus(),
+    };
+  }
+}
+
+export default RTMPDestination;
@@ -0,0 +1,81 @@
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { once } from 'events';
+import net from 'net';
+import RTMPDestination from './RTMPDestination.js';
+import { getFfmpegPath } from './FFmpegPipeline.js';
+
+const STREAM_KEY = 'sk_live_5f3a9c';
+
+// An RTMP URL on a port nothing listens on, so the relay fails to connect
+function getClosedPort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Run a destination until its relay has failed once; returns the status
+ * from then
+ */
+async function failOnce(destination, media) {
+  destination.start();
+  destination.write(media);
+  destination.process.stdin.end();
+  while (destination.state !== 'restarting' && destination.state !== 'failed') {
+    await once(destination, 'state');
+  }
+  const status = destination.getStatus();
+  await destination.stop();
+  return status;
+}
+
+describe('RTMP destination status', () => {
+  let media;
+  let port;
+
+  before(async () => {
+    const generated = spawnSync(getFfmpegPath(), [
+      '-hide_banner', '-loglevel', 'error',
+      '-f', 'lavfi', '-i', 'testsrc=size=64x64:rate=10',
+      '-t', '1', '-c:v', 'libx264', '-f', 'mpegts', 'pipe:1',
+    ], { maxBuffer: 1024 * 1024 });
+    assert.equal(generated.status, 0, generated.stderr.toString());
+    media = generated.stdout;
+    port = await getClosedPort();
+  });
+
+  test('never includes a stream key given separately', async () => {
+    const destination = new RTMPDestination('stream-1', {
+      id: 'primary',
+      url: `rtmp://127.0.0.1:${port}/live`,
+      streamKey: STREAM_KEY,
+    });
+
+    const status = await failOnce(destination, media);
+
+    assert.equal(status.url, `rtmp://127.0.0.1:${port}/live`);
+    assert.match(status.error, /Connection refused/);
+    assert.ok(!JSON.stringify(status).includes(STREAM_KEY));
+  });
+
+  test('never includes a stream key embedded in the URL', async () => {
+    const destination = new RTMPDestination('stream-1', {
+      id: 'primary',
+      url: `rtmp://127.0.0.1:${port}/live/${STREAM_KEY}`,
+    });
+
+    assert.equal(destination.getStatus().url, `rtmp://127.0.0.1:${port}/live/[REDACTED]`);
+
+    const status = await failOnce(destination, media);
+
+    assert.match(status.error, /Connection refused/);
+    assert.ok(!JSON.stringify(status).includes(STREAM_KEY));
+  });
+});
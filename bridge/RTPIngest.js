@@ -0,0 +1,131 @@
+// RTP Ingest (H.264 passthrough)
+//
+// wrtc only hands the bridge decoded frames, so WebRTC publishers are always
+// re-encoded. Publishers that can send plain RTP instead (an SFU forwarding
+// a WebRTC producer, a hardware encoder, GStreamer or FFmpeg) skip that: the
+// bridge opens UDP ports for H.264 video and Opus audio, and FFmpeg remuxes
+// the video into MPEG-TS without decoding it. Only the audio is transcoded,
+// to the AAC that RTMP and HLS need.
+//
+// RTPIngest stands in for FFmpegPipeline: it emits the same events and its
+// MPEG-TS output feeds the same destinations, recorder and HLS output.
+//
+// Ports come from RTP_INGEST_PORTS (default 40000-40099). Each stream takes
+// four: video RTP and RTCP, then audio RTP and RTCP.
+
+import FFmpegPipeline from './FFmpegPipeline.js';
+import { createLogger } from '../logging/logger.js';
+
+const log = createLogger('ffmpeg');
+
+export const VIDEO_PAYLOAD_TYPE = 96;
+export const AUDIO_PAYLOAD_TYPE = 111;
+const PORTS_PER_STREAM = 4;
+
+/**
+ * SDP for an ingest session: H.264 on `videoPort` and, with an
+ * `audioPort`, Opus on that one. `address` is where the RTP is sent.
+ */
+export function buildIngestSdp({ address, videoPort, audioPort = null }) {
+  const lines = [
+    'v=0',
+    `o=- 0 0 IN IP4 ${address}`,
+    's=WebRTC bridge ingest',
+    `c=IN IP4 ${address}`,
+    't=0 0',
+    `m=video ${videoPort} RTP/AVP ${VIDEO_PAYLOAD_TYPE}`,
+    `a=rtpmap:${VIDEO_PAYLOAD_TYPE} H264/90000`,
+    `a=fmtp:${VIDEO_PAYLOAD_TYPE} packetization-mode=1`,
+  ];
+  if (audioPort) {
+    lines.push(
+      `m=audio ${audioPort} RTP/AVP ${AUDIO_PAYLOAD_TYPE}`,
+      `a=rtpmap:${AUDIO_PAYLOAD_TYPE} opus/48000/2`
+    );
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Hands out blocks of UDP ports from a "min-max" range
+ */
+export class RTPPortPool {
+  constructor(range = process.env.RTP_INGEST_PORTS || '40000-40099') {
+    const [min, max] = String(range).split('-').map(port => parseInt(port, 10));
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max > 65535 || max - min + 1 < PORTS_PER_STREAM) {
+      throw new Error(`Invalid RTP_INGEST_PORTS "${range}": expected "min-max" with room for ${PORTS_PER_STREAM} ports`);
+    }
+    // RTP goes on even ports, with RTCP on the odd one above
+    this.min = min % 2 === 0 ? min : min + 1;
+    this.max = max;
+    this.used = new Set();
+  }
+
+  /**
+   * Reserve a block; returns its first port, or null when the range is full
+   */
+  allocate() {
+    for (let port = this.min; port + PORTS_PER_STREAM - 1 <= this.max; port += PORTS_PER_STREAM) {
+      if (!this.used.has(port)) {
+        this.used.add(port);
+        return port;
+      }
+    }
+    return null;
+  }
+
+  release(port) {
+    this.used.delete(port);
+  }
+}
+
+/**
+ * RTP Ingest
+ *
+ * Emits the same events as FFmpegPipeline.
+ */
+class RTPIngest extends FFmpegPipeline {
+  constructor(streamId, { videoPort, audioPort = null }, outputArgs) {
+    super(streamId, outputArgs);
+    this.log = log.child({ streamId, process: 'ingest' });
+    this.videoPort = videoPort;
+    this.audioPort = audioPort;
+  }
+
+  /**
+   * Read the session description from stdin; FFmpeg then binds its ports
+   */
+  buildInputArgs() {
+    return [
+      '-hide_banner', '-nostdin', '-loglevel', 'info',
+      '-protocol_whitelist', 'pipe,udp,rtp',
+      '-f', 'sdp',
+      '-i', 'pipe:0',
+    ];
+  }
+
+  /**
+   * Spawn FFmpeg and hand it the SDP; there is no raw media to describe
+   */
+  start() {
+    if (this.process) {
+      return;
+    }
+    super.start(null, null);
+    this.process.stdin.end(buildIngestSdp({
+      address: '0.0.0.0',
+      videoPort: this.videoPort,
+      audioPort: this.audioPort,
+    }));
+  }
+
+  /**
+   * The input is the network, not a pipe: SIGINT makes FFmpeg finish the
+   * packets it has and write out the rest of the MPEG-TS
+   */
+  closeInput(ffmpegProcess) {
+    ffmpegProcess.kill('SIGINT');
+  }
+}
+
+export default RTPIngest;
@@ -0,0 +1,57 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'child_process';
+import { once } from 'events';
+import RTPIngest, { RTPPortPool, buildIngestSdp } from './RTPIngest.js';
+import { getFfmpegPath } from './FFmpegPipeline.js';
+
+test('the ingest SDP describes H.264 and, optionally, Opus', () => {
+  const sdp = buildIngestSdp({ address: '192.0.2.10', videoPort: 40000, audioPort: 40002 });
+  assert.match(sdp, /^c=IN IP4 192\.0\.2\.10\r$/m);
+  assert.match(sdp, /^m=video 40000 RTP\/AVP 96\r\na=rtpmap:96 H264\/90000\r$/m);
+  assert.match(sdp, /^m=audio 40002 RTP\/AVP 111\r\na=rtpmap:111 opus\/48000\/2\r$/m);
+
+  assert.doesNotMatch(buildIngestSdp({ address: '192.0.2.10', videoPort: 40000 }), /m=audio/);
+});
+
+test('the port pool hands out even blocks of four until the range is full', () => {
+  const pool = new RTPPortPool('40001-40012');
+
+  assert.equal(pool.allocate(), 40002);
+  assert.equal(pool.allocate(), 40006);
+  assert.equal(pool.allocate(), null);
+
+  pool.release(40002);
+  assert.equal(pool.allocate(), 40002);
+
+  assert.throws(() => new RTPPortPool('40000'), /Invalid RTP_INGEST_PORTS/);
+  assert.throws(() => new RTPPortPool('40000-40001'), /Invalid RTP_INGEST_PORTS/);
+});
+
+describe('RTP ingest', () => {
+  test('H.264 over RTP comes out as MPEG-TS without re-encoding', async () => {
+    const videoPort = 47000;
+    const ingest = new RTPIngest('stream-1', { videoPort }, ['-map', '0:v', '-c:v', 'copy', '-flush_packets', '1', '-f', 'mpegts', 'pipe:1']);
+    const chunks = [];
+    ingest.on('data', chunk => chunks.push(chunk));
+    ingest.start();
+    assert.ok(ingest.isRunning());
+
+    // Constrained Baseline, as WebRTC publishers send it; a re-encode with
+    // libx264's defaults would come out as High
+    const sender = spawn(getFfmpegPath(), [
+      '-hide_banner', '-loglevel', 'error',
+      '-re', '-f', 'lavfi', '-i', 'testsrc=size=64x64:rate=10',
+      '-t', '4', '-c:v', 'libx264', '-profile:v', 'baseline', '-pix_fmt', 'yuv420p', '-g', '10',
+      '-f', 'rtp', '-payload_type', '96', `rtp://127.0.0.1:${videoPort}`,
+    ], { stdio: 'ignore' });
+    await once(sender, 'close');
+
+    await ingest.stop(1000);
+
+    const output = Buffer.concat(chunks);
+    assert.ok(output.length > 0, 'no remuxed output');
+    const probe = spawnSync(getFfmpegPath(), ['-hide_banner', '-i', 'pipe:0'], { input: output });
+    assert.match(probe.stderr.toString(), /Video: h264 \(Constrained Baseline\).*64x64/);
+  });
+});
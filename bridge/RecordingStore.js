@@ -0,0 +1,123 @@
+// Recording Store
+//
+// Owns the recordings directory: names new recording files and lists,
+// resolves and deletes finished ones for the recordings API.
+
+import fs from 'fs';
+import path from 'path';
+
+// Recording ids are bare file names; anything else is rejected so API
+// requests can't reach outside the recordings directory
+const RECORDING_ID_PATTERN = /^[A-Za-z0-9_-]+\.mp4$/;
+
+/**
+ * Turn a file name timestamp (2024-01-01T12-30-00-000Z) back into ISO 8601
+ */
+function parseFileTimestamp(value) {
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/.exec(value);
+  return match ? `${match[1]}T${match[2]}:${match[3]}:${match[4]}.${match[5]}Z` : null;
+}
+
+/**
+ * Recording Store
+ */
+class RecordingStore {
+  constructor() {
+    this.directory = path.resolve(process.env.RECORDINGS_DIR || './recordings');
+    this.activeFiles = new Set(); // file names currently being written
+  }
+
+  /**
+   * Create a file path for a new recording: <streamId>_<startTime>.mp4
+   */
+  createRecordingPath(streamId, startedAt = new Date()) {
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    const safeStreamId = String(streamId).replace(/[^A-Za-z0-9_-]/g, '_');
+    const timestamp = startedAt.toISOString().replace(/[:.]/g, '-');
+    return path.join(this.directory, `${safeStreamId}_${timestamp}.mp4`);
+  }
+
+  markActive(filePath) {
+    this.activeFiles.add(path.basename(filePath));
+  }
+
+  markFinished(filePath) {
+    this.activeFiles.delete(path.basename(filePath));
+  }
+
+  /**
+   * Resolve a recording id to its path, or null if invalid/missing
+   */
+  resolve(recordingId) {
+    if (!RECORDING_ID_PATTERN.test(recordingId)) {
+      return null;
+    }
+
+    const filePath = path.join(this.directory, recordingId);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  /**
+   * Whether a recording is still being written
+   */
+  isActive(recordingId) {
+    return this.activeFiles.has(recordingId);
+  }
+
+  /**
+   * List recordings, newest first
+   */
+  async list() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const recordings = [];
+    for (const name of entries) {
+      if (!RECORDING_ID_PATTERN.test(name)) {
+        continue;
+      }
+
+      const stats = await fs.promises.stat(path.join(this.directory, name));
+      const separator = name.lastIndexOf('_');
+      recordings.push({
+        id: name,
+        streamId: separator > 0 ? name.substring(0, separator) : null,
+        startedAt: separator > 0 ? parseFileTimestamp(name.substring(separator + 1, name.length - '.mp4'.length)) : null,
+        size: stats.size,
+        modifiedAt: stats.mtime.toISOString(),
+        inProgress: this.activeFiles.has(name),
+      });
+    }
+
+    return recordings.sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+  }
+
+  /**
+   * Delete a finished recording. Returns false if it doesn't exist.
+   */
+  async delete(recordingId) {
+    const filePath = this.resolve(recordingId);
+    if (!filePath) {
+      return false;
+    }
+
+    if (this.isActive(recordingId)) {
+      const error = new Error('Recording is still in progress');
+      error.status = 409;
+      throw error;
+    }
+
+    await fs.promises.unlink(filePath);
+    return true;
+  }
+}
+
+export default new RecordingStore();
@@ -0,0 +1,270 @@
+// Stream Key Registry
+//
+// Maps each bridge streamId to the ingest key allowed to publish it and,
+// optionally, the RTMP destination it goes to. Offers (JSON and WHIP) must
+// present the registered key; unknown streams, wrong keys and revoked keys
+// are rejected with 403.
+//
+// Providers are pluggable (STREAM_KEY_PROVIDER): 'none' (default) keeps the
+// old open behavior where any key is accepted and doubles as the Mux key;
+// 'file' keeps the registry in STREAM_KEYS_FILE (default ./stream-keys.json),
+// re-read on every lookup so nodes sharing the file see each other's changes:
+//
+//   {
+//     "show-42": {
+//       "keyHash": "<sha256 hex>",       // or "key": "<plain key>" by hand
+//       "destination": { "url": "rtmp://global-live.mux.com:5222/app", "streamKey": "mux-key" },
+//       "createdAt": "...", "rotatedAt": null, "revokedAt": null
+//     }
+//   }
+//
+// Keys issued through the admin API are only stored hashed and returned
+// once, when they are created or rotated. Custom providers can be added with
+// registerStreamKeyProvider(name, factory).
+
+import fs from 'fs';
+import path from 'path';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { createLogger, maskSecret, redactUrl } from '../logging/logger.js';
+
+const log = createLogger('bridge');
+
+export function hashKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+function statusError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * File provider: the whole registry as one JSON object keyed by streamId
+ */
+function createFileProvider() {
+  const filePath = path.resolve(process.env.STREAM_KEYS_FILE || './stream-keys.json');
+  let writing = Promise.resolve();
+
+  const read = async () => {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'file',
+    async get(streamId) {
+      const entries = await read();
+      return Object.prototype.hasOwnProperty.call(entries, streamId) ? entries[streamId] : null;
+    },
+    async list() {
+      return Object.entries(await read()).map(([streamId, entry]) => ({ streamId, ...entry }));
+    },
+    // Writes are serialized and replace the file atomically
+    put(streamId, entry) {
+      writing = writing.catch(() => {}).then(async () => {
+        const entries = await read();
+        entries[streamId] = entry;
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, `${JSON.stringify(entries, null, 2)}\n`, { mode: 0o600 });
+        await fs.promises.rename(tmpPath, filePath);
+      });
+      return writing;
+    },
+  };
+}
+
+const providers = {
+  none: () => null,
+  file: createFileProvider,
+};
+
+/**
+ * Register a custom provider. The factory returns
+ * { name, get(streamId), list(), put(streamId, entry) }, all async, storing
+ * entries in the format shown above.
+ */
+export function registerStreamKeyProvider(name, factory) {
+  providers[name] = factory;
+}
+
+/**
+ * Stream Key Registry
+ */
+class StreamKeyRegistry {
+  constructor() {
+    this.provider = undefined; // resolved lazily so custom providers can register first
+  }
+
+  getProvider() {
+    if (this.provider === undefined) {
+      const name = process.env.STREAM_KEY_PROVIDER || 'none';
+      const factory = providers[name];
+      if (!factory) {
+        throw new Error(`Unknown STREAM_KEY_PROVIDER "${name}"`);
+      }
+      this.provider = factory();
+      log.info({ provider: this.provider ? this.provider.name : 'none' }, this.provider ? 'Stream key registry enabled' : 'Stream key registry disabled, any stream key is accepted');
+    }
+    return this.provider;
+  }
+
+  isEnabled() {
+    return !!this.getProvider();
+  }
+
+  requireProvider() {
+    if (!this.isEnabled()) {
+      throw statusError('Stream key registry is disabled: set STREAM_KEY_PROVIDER', 400, 'STREAM_KEYS_DISABLED');
+    }
+    return this.getProvider();
+  }
+
+  /**
+   * Check an ingest key for a stream before accepting an offer
+   *
+   * Resolves to the registry entry (null when the registry is disabled);
+   * throws with status 403 for unknown streams, wrong keys and revoked keys.
+   */
+  async authorize(streamId, streamKey) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    const entry = await this.getProvider().get(streamId);
+    const expected = entry && (entry.keyHash || (entry.key && hashKey(entry.key)));
+    const actual = hashKey(String(streamKey || ''));
+    if (!expected || !timingSafeEqual(Buffer.from(expected), Buffer.from(actual))) {
+      log.warn({ streamId }, 'Rejected offer with an invalid stream key');
+      throw statusError(`Invalid stream key for stream ${streamId}`, 403, 'INVALID_STREAM_KEY');
+    }
+    if (entry.revokedAt) {
+      log.warn({ streamId }, 'Rejected offer with a revoked stream key');
+      throw statusError(`Stream key for stream ${streamId} has been revoked`, 403, 'STREAM_KEY_REVOKED');
+    }
+
+    return entry;
+  }
+
+  /**
+   * Validate a destination ({ url, streamKey? }) to store with a key
+   */
+  normalizeDestination(destination) {
+    if (destination === undefined || destination === null) {
+      return null;
+    }
+    if (typeof destination !== 'object' || typeof destination.url !== 'string' || !destination.url.trim()) {
+      throw statusError('destination must be { url, streamKey? }', 400, 'INVALID_DESTINATION');
+    }
+    if (destination.streamKey !== undefined && typeof destination.streamKey !== 'string') {
+      throw statusError('destination.streamKey must be a string', 400, 'INVALID_DESTINATION');
+    }
+    return { url: destination.url.trim(), streamKey: destination.streamKey || null };
+  }
+
+  /**
+   * Issue a key for a stream. Fails with 409 if the stream already has a
+   * key that is not revoked. Resolves to { streamKey, entry }; the plain key
+   * is not stored and can't be retrieved later.
+   */
+  async create(streamId, { destination } = {}) {
+    const provider = this.requireProvider();
+    const normalized = this.normalizeDestination(destination);
+
+    const existing = await provider.get(streamId);
+    if (existing && !existing.revokedAt) {
+      throw statusError(`Stream ${streamId} already has a stream key; rotate or revoke it`, 409, 'STREAM_KEY_EXISTS');
+    }
+
+    const streamKey = `sk_${randomBytes(24).toString('base64url')}`;
+    const entry = {
+      keyHash: hashKey(streamKey),
+      keyHint: streamKey.slice(-4),
+      destination: normalized,
+      createdAt: new Date().toISOString(),
+      rotatedAt: null,
+      revokedAt: null,
+    };
+    await provider.put(streamId, entry);
+
+    log.info({ streamId, destination: redactUrl(normalized?.url) }, 'Stream key created');
+    return { streamKey, entry };
+  }
+
+  /**
+   * Replace a stream's key (and optionally its destination). The old key
+   * stops working for new offers; a live stream carries on.
+   */
+  async rotate(streamId, { destination } = {}) {
+    const provider = this.requireProvider();
+    const entry = await provider.get(streamId);
+    if (!entry || entry.revokedAt) {
+      throw statusError(`Stream ${streamId} has no active stream key`, 404, 'NOT_FOUND');
+    }
+
+    const streamKey = `sk_${randomBytes(24).toString('base64url')}`;
+    const { key, ...rest } = entry;
+    const rotated = {
+      ...rest,
+      keyHash: hashKey(streamKey),
+      keyHint: streamKey.slice(-4),
+      destination: destination === undefined ? entry.destination ?? null : this.normalizeDestination(destination),
+      rotatedAt: new Date().toISOString(),
+    };
+    await provider.put(streamId, rotated);
+
+    log.info({ streamId }, 'Stream key rotated');
+    return { streamKey, entry: rotated };
+  }
+
+  /**
+   * Revoke a stream's key: offers are rejected until a new key is created
+   */
+  async revoke(streamId) {
+    const provider = this.requireProvider();
+    const entry = await provider.get(streamId);
+    if (!entry || entry.revokedAt) {
+      throw statusError(`Stream ${streamId} has no active stream key`, 404, 'NOT_FOUND');
+    }
+
+    const revoked = { ...entry, revokedAt: new Date().toISOString() };
+    await provider.put(streamId, revoked);
+
+    log.info({ streamId }, 'Stream key revoked');
+    return revoked;
+  }
+
+  async get(streamId) {
+    return this.requireProvider().get(streamId);
+  }
+
+  async list() {
+    return this.requireProvider().list();
+  }
+
+  /**
+   * An entry for API responses: keys masked, never the hash
+   */
+  describe(streamId, entry) {
+    return {
+      streamId,
+      streamKey: entry.keyHint ? `****${entry.keyHint}` : maskSecret(entry.key),
+      destination: entry.destination
+        ? { url: redactUrl(entry.destination.url), streamKey: maskSecret(entry.destination.streamKey) }
+        : null,
+      createdAt: entry.createdAt || null,
+      rotatedAt: entry.rotatedAt || null,
+      revokedAt: entry.revokedAt || null,
+      active: !entry.revokedAt,
+    };
+  }
+}
+
+export default new StreamKeyRegistry();
@@ -0,0 +1,77 @@
+// Stream Recorder
+//
+// Records a bridged stream to disk as fragmented MP4. It is a copy-only
+// relay of the encoder's MPEG-TS output like RTMPDestination, writing to a
+// file instead of an RTMP ingest. Fragmented MP4 keeps everything written so
+// far playable even if FFmpeg is killed before it can finalize. A restarted
+// recorder continues in a new file.
+
+import path from 'path';
+import RTMPDestination from './RTMPDestination.js';
+import recordingStore from './RecordingStore.js';
+
+/**
+ * Stream Recorder
+ */
+class StreamRecorder extends RTMPDestination {
+  constructor(streamId) {
+    super(streamId, { id: 'recording', url: null });
+    this.outputType = 'recording';
+    this.filePath = null;
+
+    this.on('state', (state) => {
+      if (['stopped', 'failed', 'restarting'].includes(state) && this.filePath) {
+        recordingStore.markFinished(this.filePath);
+      }
+    });
+  }
+
+  /**
+   * Build FFmpeg arguments for the recording
+   */
+  buildArgs() {
+    return [
+      '-hide_banner', '-nostdin', '-loglevel', 'error',
+      '-f', 'mpegts',
+      '-i', 'pipe:0',
+      '-map', '0',
+      '-c', 'copy',
+      '-bsf:a', 'aac_adtstoasc',
+      '-f', 'mp4',
+      '-movflags', '+frag_keyframe+empty_moov+default_base_moof',
+      '-y',
+      this.filePath
+    ];
+  }
+
+  /**
+   * Start recording to a new file named by streamId and start time
+   */
+  start() {
+    if (this.process) {
+      return;
+    }
+
+    this.filePath = recordingStore.createRecordingPath(this.streamId);
+    this.url = this.filePath;
+    recordingStore.markActive(this.filePath);
+
+    super.start();
+  }
+
+  /**
+   * Status for the API
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      error: this.error,
+      recordingId: this.filePath ? path.basename(this.filePath) : null,
+      startedAt: this.startedAt,
+      bytesWritten: this.bytesSent,
+      restarts: this.supervisor.getStatus(),
+    };
+  }
+}
+
+export default StreamRecorder;
@@ -8,126 +8,221 @@
 //
 // The bridge will gracefully handle missing 'wrtc' and log warnings.
 
-import { spawn } from 'child_process';
+import { randomUUID, timingSafeEqual } from 'crypto';
 import { EventEmitter } from 'events';
 import ffmpeg from 'fluent-ffmpeg';
-import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import FFmpegPipeline, { getFfmpegPath, parseProgress } from './FFmpegPipeline.js';
+import FFmpegSupervisor from './FFmpegSupervisor.js';
+import RTMPDestination from './RTMPDestination.js';
+import StreamRecorder from './StreamRecorder.js';
+import HLSOutput, { HLS_STREAM_ID_PATTERN } from './HLSOutput.js';
+import RTPIngest, { RTPPortPool, AUDIO_PAYLOAD_TYPE, VIDEO_PAYLOAD_TYPE, buildIngestSdp } from './RTPIngest.js';
+import { getIceServers } from './iceServers.js';
+import { resolveEncodingProfile } from './encodingProfiles.js';
+import streamKeys, { hashKey } from './StreamKeyRegistry.js';
+import {
+  iceGatheringDuration,
+  ffmpegRestarts,
+  streamsEnded,
+  streamBitrate,
+  streamFps,
+  removeStreamMetrics,
+} from '../metrics/metrics.js';
+import { createLogger, maskSecret, redactUrl } from '../logging/logger.js';
+import {
+  loadWrtc,
+  wrtcAvailable,
+  RTCPeerConnection,
+  RTCSessionDescription,
+  RTCIceCandidate,
+  RTCAudioSink,
+  RTCVideoSink,
+} from './wrtc.js';
 
-// Try to import wrtc, but handle gracefully if not available
-let RTCPeerConnection, RTCSessionDescription, RTCIceCandidate;
-let wrtcAvailable = false;
+const log = createLogger('bridge');
 
-// Dynamic import function
-async function loadWrtc() {
-  try {
-    const wrtcModule = await import('wrtc');
-    
-    // Handle different export patterns from wrtc
-    // Try direct exports first, then default export, then check module structure
-    if (wrtcModule.RTCPeerConnection) {
-      RTCPeerConnection = wrtcModule.RTCPeerConnection;
-      RTCSessionDescription = wrtcModule.RTCSessionDescription;
-      RTCIceCandidate = wrtcModule.RTCIceCandidate;
-    } else if (wrtcModule.default) {
-      // Handle default export
-      RTCPeerConnection = wrtcModule.default.RTCPeerConnection;
-      RTCSessionDescription = wrtcModule.default.RTCSessionDescription;
-      RTCIceCandidate = wrtcModule.default.RTCIceCandidate;
-    } else {
-      // Try to find exports in the module
-      const keys = Object.keys(wrtcModule);
-      console.log('[Bridge] Available exports from wrtc:', keys);
-      throw new Error('RTCPeerConnection not found in wrtc exports');
-    }
-    
-    if (!RTCPeerConnection || !RTCSessionDescription || !RTCIceCandidate) {
-      throw new Error('Required WebRTC classes not found in wrtc module');
-    }
-    
-    wrtcAvailable = true;
-    console.log('[Bridge] ✅ WebRTC (wrtc) module loaded successfully');
-    return true;
-  } catch (error) {
-    console.warn('[Bridge] ⚠️  WebRTC (wrtc) module not available:', error.message);
-    console.warn('[Bridge] ⚠️  Bridge will accept offers but cannot process WebRTC connections');
-    console.warn('[Bridge] ⚠️  To fix: Install wrtc package or run on Linux/Docker');
-    console.warn('[Bridge] ⚠️  Run: npm install wrtc (may require build tools on Windows)');
-    wrtcAvailable = false;
-    return false;
-  }
-}
-
-// Load wrtc on module initialization
-loadWrtc();
+// Point fluent-ffmpeg at the same binary the pipeline spawns
+ffmpeg.setFfmpegPath(getFfmpegPath());
 
-// Set FFmpeg path if using installer
-if (ffmpegInstaller && ffmpegInstaller.path) {
-  ffmpeg.setFfmpegPath(ffmpegInstaller.path);
-}
+const WATCHDOG_INTERVAL_MS = 1000;
+const MAX_ENDED_STREAMS = 100;
 
 /**
  * WebRTC to RTMP Bridge Service
  * 
  * Converts WebRTC streams from mobile app to RTMP for Mux ingestion
+ *
+ * Emits (besides ICE candidate events for trickling):
+ *   - 'stream-created' (streamId)
+ *   - 'stream-connected' (streamId)
+ *   - 'stream-cleaned' (streamId, reason)
+ *   - 'ffmpeg-failed' (streamId, { process, destinationId, code, signal, restarts })
+ *     an FFmpeg process kept failing and its supervisor gave up
  */
 class WebRTCToRTMPBridge extends EventEmitter {
   constructor() {
     super();
-    this.activeStreams = new Map(); // streamId -> { pc, ffmpeg, audioTrack, videoTrack, streamKey }
+    this.activeStreams = new Map(); // streamId -> { pc, pipeline, destinations, audioTrack, videoTrack, streamKey }
     this.muxRtmpUrl = process.env.MUX_RTMP_URL || 'rtmp://global-live.mux.com:5222/app';
+    this.recordByDefault = process.env.RECORD_STREAMS === 'true';
+    this.hlsByDefault = process.env.HLS_ENABLED === 'true';
     this.wrtcAvailable = wrtcAvailable;
+
+    // RTP ingest (H.264 passthrough): UDP ports handed out per stream, and
+    // the address publishers send to when it isn't the API's host name
+    this.rtpPorts = new RTPPortPool();
+    this.rtpIngestAddress = process.env.RTP_INGEST_ADDRESS || null;
+
+    // Watchdog: end sessions that never connect, stop sending media or run
+    // too long (0 disables a check)
+    this.connectTimeoutMs = parseInt(process.env.BRIDGE_CONNECT_TIMEOUT_MS ?? '30000', 10);
+    this.mediaTimeoutMs = parseInt(process.env.BRIDGE_MEDIA_TIMEOUT_MS ?? '15000', 10);
+    this.maxDurationMs = parseInt(process.env.BRIDGE_MAX_DURATION_MS ?? '0', 10);
+    this.watchdogTimer = setInterval(() => this.checkStreams(), WATCHDOG_INTERVAL_MS);
+    this.watchdogTimer.unref();
+
+    // How recent sessions ended, for the status API and stats
+    this.endedStreams = new Map(); // streamId -> { reason, startedAt, endedAt }, oldest first
+    this.endedCounts = {}; // reason -> count since the process started
+
+    // One listener per open ICE candidate stream (SSE / long-poll)
+    this.setMaxListeners(0);
   }
 
   /**
    * Get ICE servers configuration
+   *
+   * Called for each peer connection, so time-limited TURN credentials
+   * (TURN_SECRET) are fresh for every session.
    */
   getIceServers() {
-    const iceServers = [
-      // STUN servers for NAT discovery
-      { urls: 'stun:stun.l.google.com:19302' },
-      { urls: 'stun:stun1.l.google.com:19302' },
-    ];
+    return getIceServers({ userId: 'bridge' });
+  }
 
-    // Add TURN servers from environment variables
-    const turnServerUrl = process.env.TURN_SERVER_URL;
-    const turnUsername = process.env.TURN_USERNAME;
-    const turnCredential = process.env.TURN_CREDENTIAL;
-
-    if (turnServerUrl) {
-      const turnUrls = turnServerUrl.split(',').map(url => url.trim());
-      turnUrls.forEach(url => {
-        if (url.startsWith('turn:') || url.startsWith('turns:')) {
-          iceServers.push({
-            urls: url,
-            username: turnUsername || undefined,
-            credential: turnCredential || undefined,
-          });
-        } else {
-          const host = url.replace(/^(turn|turns):\/\//, '');
-          iceServers.push(
-            {
-              urls: `turn:${host}?transport=udp`,
-              username: turnUsername || undefined,
-              credential: turnCredential || undefined,
-            },
-            {
-              urls: `turn:${host}?transport=tcp`,
-              username: turnUsername || undefined,
-              credential: turnCredential || undefined,
-            }
-          );
-        }
-      });
+  /**
+   * Validate a destination spec ({ id?, url, streamKey? }) from the API
+   */
+  normalizeDestination(spec, fallbackId) {
+    if (!spec || typeof spec.url !== 'string' || !spec.url.trim()) {
+      const error = new Error('Each destination needs a url');
+      error.status = 400;
+      throw error;
+    }
+
+    if (spec.streamKey !== undefined && typeof spec.streamKey !== 'string') {
+      const error = new Error('Destination streamKey must be a string');
+      error.status = 400;
+      throw error;
     }
 
-    return iceServers;
+    return {
+      id: String(spec.id || fallbackId),
+      url: spec.url.trim(),
+      streamKey: spec.streamKey || null,
+    };
+  }
+
+  /**
+   * Check a new session's stream key and output options (see handleOffer)
+   *
+   * Returns { destinationSpecs, record, hls, profile }.
+   */
+  async prepareSession(streamId, streamKey, options) {
+    const keyEntry = await streamKeys.authorize(streamId, streamKey);
+    const defaultDestination = keyEntry?.destination
+      ? { id: 'default', url: keyEntry.destination.url, streamKey: keyEntry.destination.streamKey }
+      : { id: 'mux', url: this.muxRtmpUrl, streamKey };
+
+    const destinationSpecs = options.destinations
+      ? options.destinations.map((spec, index) => this.normalizeDestination(spec, `destination-${index + 1}`))
+      : [defaultDestination];
+
+    if (new Set(destinationSpecs.map(spec => spec.id)).size !== destinationSpecs.length) {
+      const error = new Error('Destination ids must be unique');
+      error.status = 400;
+      throw error;
+    }
+
+    const profile = resolveEncodingProfile(options.profile);
+
+    const hls = options.hls ?? this.hlsByDefault;
+    if (hls && !HLS_STREAM_ID_PATTERN.test(streamId)) {
+      const error = new Error('HLS output needs a stream id of letters, digits, "-" and "_"');
+      error.status = 400;
+      throw error;
+    }
+
+    return {
+      destinationSpecs,
+      record: options.record ?? this.recordByDefault,
+      hls,
+      profile,
+    };
+  }
+
+  /**
+   * Register a new session for a stream
+   *
+   * A new session for a live streamId replaces the previous one. Its outputs
+   * share the stream's HLS directory, so they must have stopped and removed
+   * it before the new session writes there.
+   */
+  async createSession(streamId, streamKey, fields) {
+    if (this.activeStreams.has(streamId)) {
+      log.warn({ streamId }, 'Stream already active, replacing session');
+      await this.cleanupStream(streamId, 'replaced');
+    }
+
+    const streamInfo = {
+      pc: null,
+      ingest: { protocol: 'webrtc' },
+      passthrough: false, // video remuxed rather than re-encoded
+      streamKey,
+      iceCandidates: [],
+      iceGatheringComplete: false,
+      answer: null,
+      pipeline: null,
+      supervisor: null, // restarts the encoder when FFmpeg exits
+      progress: null, // latest parsed FFmpeg progress
+      destinations: new Map(), // destinationId -> RTMPDestination
+      recorder: null,
+      hls: null,
+      audioTrack: null,
+      videoTrack: null,
+      audioSink: null,
+      videoSink: null,
+      videoFormat: null,
+      audioFormat: null,
+      profile: null,
+      codecs: null, // negotiated { audio, video }, from the answer
+      viewers: new Map(), // viewerId -> { pc, answer, etag } (WHEP)
+      createdAt: Date.now(),
+      connectedAt: null,
+      lastMediaAt: null, // last audio/video frame from the publisher
+      ...fields,
+    };
+    this.activeStreams.set(streamId, streamInfo);
+    this.emit('stream-created', streamId);
+    return streamInfo;
   }
 
   /**
    * Handle WebRTC offer and create answer
+   *
+   * `streamKey` is checked against the stream key registry (see
+   * StreamKeyRegistry). `options.destinations` is an optional list of
+   * { id?, url, streamKey? } outputs. Without it the stream goes to the
+   * destination registered with the key, or to MUX_RTMP_URL with `streamKey`.
+   * `options.record` records the stream to MP4 (default: RECORD_STREAMS).
+   * `options.hls` serves the stream as HLS from /live (default: HLS_ENABLED).
+   * `options.profile` names the encoding profile (default: ENCODING_PROFILE).
+   * `options.waitForIceGathering: false` returns the answer without waiting
+   * for candidates; the client then trickles them from the bridge.
    */
-  async handleOffer(streamId, streamKey, offer) {
-    console.log(`[Bridge] Handling offer for stream: ${streamId}`);
+  async handleOffer(streamId, streamKey, offer, options = {}) {
+    log.info({ streamId }, 'Handling offer');
+
+    const session = await this.prepareSession(streamId, streamKey, options);
 
     // Try to load wrtc if not already loaded
     if (!this.wrtcAvailable) {
@@ -137,90 +232,170 @@ class WebRTCToRTMPBridge extends EventEmitter {
 
     if (!this.wrtcAvailable || !RTCPeerConnection) {
       const error = new Error('WebRTC (wrtc) module not available. Cannot process WebRTC connections. Install wrtc package or run on Linux/Docker.');
-      console.error(`[Bridge] ❌ ${error.message}`);
+      log.error({ streamId }, error.message);
       throw error;
     }
 
-    try {
-      // Create RTCPeerConnection
-      const pc = new RTCPeerConnection({
-        iceServers: this.getIceServers(),
-        iceCandidatePoolSize: 10,
-      });
+    const pc = new RTCPeerConnection({
+      iceServers: this.getIceServers(),
+      iceCandidatePoolSize: 10,
+    });
+
+    // Register the stream before negotiating: wrtc fires ontrack while the
+    // remote description is applied, and the track handlers look it up here.
+    const streamInfo = await this.createSession(streamId, streamKey, { pc, profile: session.profile });
 
+    try {
       // Store ICE candidates to send back to client
-      const iceCandidates = [];
+      const iceCandidates = streamInfo.iceCandidates;
+      let iceGatheringStartedAt = null;
 
       // Handle ICE candidates
+      // Candidates are also emitted so late ones (e.g. TURN relay candidates
+      // after the gathering timeout) can be trickled to the client
       pc.onicecandidate = (event) => {
         if (event.candidate) {
-          console.log(`[Bridge] ICE candidate for ${streamId}:`, event.candidate.candidate);
-          iceCandidates.push({
+          log.debug({ streamId, candidate: event.candidate.candidate }, 'Local ICE candidate');
+          const candidate = {
             candidate: event.candidate.candidate,
             sdpMLineIndex: event.candidate.sdpMLineIndex ?? null,
             sdpMid: event.candidate.sdpMid ?? null,
-          });
+          };
+          iceCandidates.push(candidate);
+          this.emit('ice-candidate', streamId, candidate);
         } else {
-          console.log(`[Bridge] ICE gathering complete for ${streamId}`);
+          log.info({ streamId }, 'ICE gathering complete');
+          if (iceGatheringStartedAt) {
+            iceGatheringDuration.observe((Date.now() - iceGatheringStartedAt) / 1000);
+            iceGatheringStartedAt = null;
+          }
+          streamInfo.iceGatheringComplete = true;
+          this.emit('ice-gathering-complete', streamId);
         }
       };
 
       // Handle connection state
       pc.onconnectionstatechange = () => {
         const state = pc.connectionState;
-        console.log(`[Bridge] Connection state for ${streamId}:`, state);
+        log.info({ streamId, connectionState: state }, 'Connection state changed');
         
         if (state === 'connected') {
+          streamInfo.connectedAt ??= Date.now();
           this.emit('stream-connected', streamId);
         } else if (state === 'failed' || state === 'disconnected' || state === 'closed') {
-          console.error(`[Bridge] Connection ${state} for ${streamId}`);
-          this.cleanupStream(streamId);
+          log.warn({ streamId, connectionState: state }, 'Connection lost, cleaning up stream');
+          this.cleanupSession(streamId, streamInfo, `connection-${state}`);
         }
       };
 
+      // Setup media track processing before the offer is applied
+      this.setupMediaProcessing(streamId, streamInfo, session);
+
       // Set remote description (the offer)
       await pc.setRemoteDescription(new RTCSessionDescription(offer));
 
       // Create answer
       const answer = await pc.createAnswer();
+      iceGatheringStartedAt = Date.now();
       await pc.setLocalDescription(answer);
 
-      // Wait for ICE gathering (with timeout)
-      await this.waitForIceGathering(pc, 5000);
+      // Wait for ICE gathering (with timeout), unless the client trickles
+      // server candidates from GET /webrtc-bridge/:streamId/ice-candidates
+      if (options.waitForIceGathering !== false) {
+        await this.waitForIceGathering(pc, 5000);
+      }
 
-      // Setup media track processing
-      this.setupMediaProcessing(pc, streamId, streamKey);
-
-      // Store stream info
-      this.activeStreams.set(streamId, {
-        pc,
-        streamKey,
-        iceCandidates,
-        answer: {
-          type: answer.type,
-          sdp: answer.sdp,
-        },
-        ffmpeg: null,
-        audioTrack: null,
-        videoTrack: null,
-        sdpCreated: false,
-      });
+      // The local description now carries the candidates gathered so far,
+      // which lets non-trickle clients (e.g. WHIP) connect from the SDP alone
+      const localAnswer = {
+        type: pc.localDescription?.type || answer.type,
+        sdp: pc.localDescription?.sdp || answer.sdp,
+      };
+
+      streamInfo.answer = localAnswer;
+      streamInfo.etag = `"${randomUUID()}"`;
+      streamInfo.codecs = this.getNegotiatedCodecs(localAnswer.sdp);
 
-      console.log(`[Bridge] ✅ Stream ${streamId} initialized, answer created`);
+      log.info({ streamId }, 'Stream initialized, answer created');
 
       return {
-        answer: {
-          type: answer.type,
-          sdp: answer.sdp,
-        },
+        answer: localAnswer,
         iceCandidates: iceCandidates,
+        etag: streamInfo.etag,
       };
     } catch (error) {
-      console.error(`[Bridge] Error handling offer for ${streamId}:`, error);
+      log.error({ err: error, streamId }, 'Error handling offer');
+      this.cleanupSession(streamId, streamInfo, 'offer-failed');
       throw error;
     }
   }
 
+  /**
+   * Start a stream fed with RTP instead of a WebRTC offer (H.264 passthrough)
+   *
+   * Reserves UDP ports for H.264 video and, unless `options.audio` is false,
+   * Opus audio. The video is remuxed into the stream's outputs without being
+   * re-encoded; the profile only sets the audio encoding. Takes the same
+   * stream key and output options as handleOffer. `options.address` is the
+   * host name publishers reached the API on, used when RTP_INGEST_ADDRESS is
+   * not set.
+   *
+   * Returns where to send the RTP: { address, video, audio, sdp }.
+   */
+  async handleRtpIngest(streamId, streamKey, options = {}) {
+    log.info({ streamId }, 'Handling RTP ingest');
+
+    const session = await this.prepareSession(streamId, streamKey, options);
+    const audio = options.audio ?? true;
+
+    const basePort = this.rtpPorts.allocate();
+    if (basePort === null) {
+      const error = new Error('No free RTP ingest ports, see RTP_INGEST_PORTS');
+      error.status = 503;
+      throw error;
+    }
+    const ingest = {
+      protocol: 'rtp',
+      address: this.rtpIngestAddress || options.address || '127.0.0.1',
+      videoPort: basePort,
+      audioPort: audio ? basePort + 2 : null,
+    };
+
+    const streamInfo = await this.createSession(streamId, streamKey, {
+      ingest,
+      passthrough: true,
+      profile: session.profile,
+      codecs: {
+        audio: audio ? { codec: 'opus', clockRate: 48000 } : null,
+        video: { codec: 'H264', clockRate: 90000 },
+      },
+      audioFormat: audio ? { sampleRate: 48000, channelCount: 2 } : null,
+    });
+
+    const pipeline = new RTPIngest(streamId, ingest, this.buildPassthroughArgs(session.profile));
+    this.setupPipeline(streamId, streamInfo, pipeline, session);
+
+    // Without a peer connection the stream counts as connected once remuxed
+    // media comes out of FFmpeg, which also feeds the no-media watchdog
+    pipeline.on('data', () => {
+      streamInfo.lastMediaAt = Date.now();
+      if (!streamInfo.connectedAt) {
+        streamInfo.connectedAt = streamInfo.lastMediaAt;
+        this.emit('stream-connected', streamId);
+      }
+    });
+
+    this.startPipelineIfReady(streamId);
+    log.info({ streamId, videoPort: ingest.videoPort, audioPort: ingest.audioPort }, 'RTP ingest waiting for media');
+
+    return {
+      address: ingest.address,
+      video: { port: ingest.videoPort, payloadType: VIDEO_PAYLOAD_TYPE, codec: 'H264' },
+      audio: audio ? { port: ingest.audioPort, payloadType: AUDIO_PAYLOAD_TYPE, codec: 'opus' } : null,
+      sdp: buildIngestSdp(ingest),
+    };
+  }
+
   /**
    * Wait for ICE gathering to complete
    */
@@ -248,121 +423,394 @@ class WebRTCToRTMPBridge extends EventEmitter {
   }
 
   /**
-   * Setup media track processing and FFmpeg pipeline
+   * Codecs chosen in an answer SDP: the first payload type of each m= line,
+   * e.g. { audio: { codec: 'opus', clockRate: 48000 }, video: { codec: 'H264', clockRate: 90000 } }
+   */
+  getNegotiatedCodecs(sdp) {
+    const codecs = { audio: null, video: null };
+    const sections = String(sdp || '').split(/\r?\n(?=m=)/).filter(section => section.startsWith('m='));
+
+    for (const section of sections) {
+      const [, kind, payloadType] = /^m=(\w+) \d+ \S+ (\d+)/.exec(section) || [];
+      if (!(kind in codecs) || codecs[kind] || payloadType === undefined) {
+        continue;
+      }
+
+      const rtpmap = new RegExp(`^a=rtpmap:${payloadType} ([^/\\s]+)/(\\d+)`, 'm').exec(section);
+      if (rtpmap) {
+        codecs[kind] = { codec: rtpmap[1], clockRate: Number(rtpmap[2]) };
+      }
+    }
+
+    return codecs;
+  }
+
+  /**
+   * Build FFmpeg output arguments for the encoder from an encoding profile
+   *
+   * The encode happens once per stream; the MPEG-TS output is relayed to each
+   * destination by RTMPDestination.
    */
-  setupMediaProcessing(pc, streamId, streamKey) {
-    const rtmpUrl = `${this.muxRtmpUrl}/${streamKey}`;
-    console.log(`[Bridge] Setting up FFmpeg for ${streamId} -> ${rtmpUrl}`);
+  buildEncoderArgs(profile) {
+    const args = [];
+
+    // Scale the short side down to the profile's resolution (never up)
+    if (profile.resolution) {
+      const size = profile.resolution;
+      args.push('-vf', `scale=w='if(gte(iw,ih),-2,min(${size},iw))':h='if(gte(iw,ih),min(${size},ih),-2)'`);
+    }
+    if (profile.fps) {
+      args.push('-r', String(profile.fps));
+    }
 
-    // FFmpeg command for RTMP output
-    const ffmpegArgs = [
-      '-protocol_whitelist', 'file,udp,rtp',
-      '-i', 'sdp:pipe:0',
+    return [
+      ...args,
       '-c:v', 'libx264',
-      '-preset', 'veryfast',
+      '-preset', profile.preset,
       '-tune', 'zerolatency',
-      '-g', '30',
-      '-b:v', '2500k',
-      '-maxrate', '2500k',
-      '-bufsize', '5000k',
+      '-pix_fmt', 'yuv420p',
+      '-g', String(profile.keyframeInterval),
+      '-b:v', profile.videoBitrate,
+      '-maxrate', profile.videoBitrate,
+      '-bufsize', `${parseInt(profile.videoBitrate, 10) * 2}k`,
       '-c:a', 'aac',
-      '-b:a', '128k',
-      '-ar', '48000',
-      '-ac', '2',
-      '-f', 'flv',
-      '-flvflags', 'no_duration_filesize',
-      rtmpUrl
+      '-b:a', profile.audioBitrate,
+      '-ar', String(profile.audioSampleRate),
+      '-ac', String(profile.audioChannels),
+      '-f', 'mpegts',
+      'pipe:1'
     ];
+  }
 
-    const ffmpegProcess = spawn('ffmpeg', ffmpegArgs, {
-      stdio: ['pipe', 'pipe', 'pipe']
-    });
+  /**
+   * Build FFmpeg output arguments for an RTP ingest
+   *
+   * The H.264 video is copied as is; only the audio is encoded, with the
+   * profile's audio settings.
+   */
+  buildPassthroughArgs(profile) {
+    return [
+      '-map', '0:v',
+      '-map', '0:a?',
+      '-c:v', 'copy',
+      '-c:a', 'aac',
+      '-b:a', profile.audioBitrate,
+      '-ar', String(profile.audioSampleRate),
+      '-ac', String(profile.audioChannels),
+      // Ending the ingest can take FFmpeg a while when no packets arrive, so
+      // output is not held back in case it is killed meanwhile
+      '-flush_packets', '1',
+      '-f', 'mpegts',
+      'pipe:1'
+    ];
+  }
 
-    // Log FFmpeg output
-    ffmpegProcess.stderr.on('data', (data) => {
-      const output = data.toString();
-      if (output.includes('error') || output.includes('Error') || output.includes('Failed')) {
-        console.error(`[Bridge] FFmpeg error for ${streamId}:`, output);
-      } else if (output.includes('frame=') || output.includes('time=')) {
-        if (Math.random() < 0.1) {
-          console.log(`[Bridge] FFmpeg progress for ${streamId}:`, output.substring(0, 80));
-        }
+  /**
+   * Wire a stream's FFmpeg process (the encoder or an RTP ingest) to its
+   * supervisor and outputs: destinations, recorder and HLS
+   */
+  setupPipeline(streamId, streamInfo, pipeline, { destinationSpecs, record = false, hls = false, profile }) {
+    log.info({
+      streamId,
+      ingest: streamInfo.ingest.protocol,
+      destinations: destinationSpecs.map(spec => ({ id: spec.id, url: redactUrl(spec.url) })),
+      record,
+      hls,
+      profile: profile.name,
+    }, 'Setting up media processing');
+
+    const supervisor = new FFmpegSupervisor();
+
+    // Uses the captured streamInfo rather than a lookup so the output FFmpeg
+    // flushes while cleanupStream is stopping it still reaches destinations
+    pipeline.on('data', (chunk) => {
+      for (const output of this.getStreamOutputs(streamInfo)) {
+        output.write(chunk);
       }
     });
 
-    ffmpegProcess.on('close', (code) => {
-      console.log(`[Bridge] FFmpeg process exited for ${streamId} with code ${code}`);
-      if (code !== 0 && code !== null) {
-        this.cleanupStream(streamId);
+    pipeline.on('progress', (line) => {
+      const progress = parseProgress(line);
+      const { fps, bitrateKbps } = progress;
+      streamInfo.progress = { ...progress, updatedAt: new Date().toISOString() };
+      if (fps !== null) {
+        streamFps.set({ stream_id: streamId }, fps);
+      }
+      if (bitrateKbps !== null) {
+        streamBitrate.set({ stream_id: streamId }, bitrateKbps);
       }
+
+      log.trace({ streamId, progress: line }, 'FFmpeg progress');
     });
 
-    ffmpegProcess.on('error', (error) => {
-      console.error(`[Bridge] FFmpeg process error for ${streamId}:`, error);
-      if (error.code === 'ENOENT') {
-        console.error(`[Bridge] FFmpeg not found. Please install FFmpeg.`);
+    // FFmpeg exiting on its own is restarted with backoff; the peer
+    // connection stays up meanwhile and only a repeated failure ends the stream
+    pipeline.on('exit', (code, signal) => {
+      if (supervisor.processExited(code, signal)) {
+        log.warn({ streamId, code, signal, delayMs: supervisor.history.at(-1).delayMs }, 'FFmpeg exited, restarting');
+      } else {
+        log.error({ streamId, code, signal, restarts: supervisor.restarts }, 'FFmpeg kept failing, giving up');
+        this.emit('ffmpeg-failed', streamId, { process: 'encoder', destinationId: null, code, signal, restarts: supervisor.restarts });
+        this.cleanupSession(streamId, streamInfo, 'ffmpeg-failed');
       }
-      this.cleanupStream(streamId);
     });
 
+    supervisor.on('restart', (attempt) => {
+      log.info({ streamId, attempt }, 'Restarting FFmpeg');
+      this.restartPipeline(streamId, 'exit');
+    });
+
+    pipeline.on('error', (error) => {
+      this.emit('ffmpeg-failed', streamId, { process: 'encoder', destinationId: null, code: error.code, signal: null, restarts: supervisor.restarts });
+      this.cleanupSession(streamId, streamInfo, 'ffmpeg-failed');
+    });
+
+    streamInfo.pipeline = pipeline;
+    streamInfo.supervisor = supervisor;
+    for (const spec of destinationSpecs) {
+      streamInfo.destinations.set(spec.id, this.watchOutput(streamId, new RTMPDestination(streamId, spec)));
+    }
+    if (record) {
+      streamInfo.recorder = this.watchOutput(streamId, new StreamRecorder(streamId));
+    }
+    if (hls) {
+      streamInfo.hls = this.watchOutput(streamId, new HLSOutput(streamId));
+    }
+  }
+
+  /**
+   * Setup media track processing and FFmpeg pipeline
+   *
+   * Incoming tracks are attached to wrtc media sinks. FFmpeg is started once
+   * every received track has delivered its first frame, since the raw frame
+   * size and sample layout are only known at that point.
+   */
+  setupMediaProcessing(streamId, streamInfo, session) {
+    const pc = streamInfo.pc;
+    this.setupPipeline(streamId, streamInfo, new FFmpegPipeline(streamId, this.buildEncoderArgs(session.profile)), session);
+
     // Handle WebRTC tracks
     pc.ontrack = (event) => {
       const track = event.track;
-      console.log(`[Bridge] Received ${track.kind} track for ${streamId}:`, {
-        id: track.id,
+      log.info({
+        streamId,
+        trackId: track.id,
         kind: track.kind,
         enabled: track.enabled,
         readyState: track.readyState
-      });
-
-      const streamInfo = this.activeStreams.get(streamId);
-      if (!streamInfo) {
-        console.error(`[Bridge] No stream info for ${streamId}`);
-        return;
-      }
+      }, 'Received track');
 
       if (track.kind === 'audio') {
         streamInfo.audioTrack = track;
-        console.log(`[Bridge] Audio track stored for ${streamId}`);
+        this.attachAudioSink(streamId, streamInfo, track);
       } else if (track.kind === 'video') {
         streamInfo.videoTrack = track;
-        console.log(`[Bridge] Video track stored for ${streamId}`);
+        this.attachVideoSink(streamId, streamInfo, track);
       }
 
-      if (streamInfo.audioTrack && streamInfo.videoTrack && !streamInfo.sdpCreated) {
-        this.createSDPForFFmpeg(streamId, pc, ffmpegProcess);
-        streamInfo.sdpCreated = true;
+      track.onended = () => {
+        log.info({ streamId, kind: track.kind }, 'Track ended');
+        this.cleanupSession(streamId, streamInfo, 'track-ended');
+      };
+    };
+  }
+
+  /**
+   * Report an output whose relay kept failing; the stream itself carries on
+   */
+  watchOutput(streamId, output) {
+    output.on('exit', (code, signal) => {
+      this.emit('ffmpeg-failed', streamId, {
+        process: output.outputType,
+        destinationId: output.id,
+        code,
+        signal,
+        restarts: output.supervisor.restarts,
+      });
+    });
+    return output;
+  }
+
+  /**
+   * Pull I420 frames off a video track and feed them to FFmpeg
+   */
+  attachVideoSink(streamId, streamInfo, track) {
+    const sink = new RTCVideoSink(track);
+    streamInfo.videoSink = sink;
+
+    sink.onframe = ({ frame }) => {
+      streamInfo.lastMediaAt = Date.now();
+      const { width, height } = frame;
+      const current = streamInfo.videoFormat;
+
+      if (current && (current.width !== width || current.height !== height)) {
+        // rawvideo input has a fixed frame size, so a resolution change
+        // (e.g. the phone rotating) needs a fresh FFmpeg process
+        log.info({ streamId, from: current, to: { width, height } }, 'Video resolution changed');
+        streamInfo.videoFormat = { width, height };
+        this.restartPipeline(streamId);
+        return;
       }
 
-      streamInfo.ffmpeg = ffmpegProcess;
+      if (!current) {
+        streamInfo.videoFormat = { width, height };
+        this.startPipelineIfReady(streamId);
+      }
 
-      track.onended = () => {
-        console.log(`[Bridge] ${track.kind} track ended for ${streamId}`);
-        this.cleanupStream(streamId);
-      };
+      streamInfo.pipeline?.writeVideoFrame(frame);
+    };
+  }
+
+  /**
+   * Pull PCM samples off an audio track and feed them to FFmpeg
+   */
+  attachAudioSink(streamId, streamInfo, track) {
+    const sink = new RTCAudioSink(track);
+    streamInfo.audioSink = sink;
+
+    sink.ondata = (data) => {
+      streamInfo.lastMediaAt = Date.now();
+      if (data.bitsPerSample !== 16) {
+        return;
+      }
+
+      if (!streamInfo.audioFormat) {
+        streamInfo.audioFormat = {
+          sampleRate: data.sampleRate,
+          channelCount: data.channelCount,
+        };
+        this.startPipelineIfReady(streamId);
+      }
+
+      streamInfo.pipeline?.writeAudioSamples(data.samples);
     };
+  }
 
+  /**
+   * Start FFmpeg once every received track has reported its raw format
+   */
+  startPipelineIfReady(streamId) {
     const streamInfo = this.activeStreams.get(streamId);
-    if (streamInfo) {
-      streamInfo.ffmpeg = ffmpegProcess;
+    if (!streamInfo || !streamInfo.pipeline || streamInfo.pipeline.isRunning()) {
+      return;
+    }
+
+    const videoReady = !streamInfo.videoTrack || !!streamInfo.videoFormat;
+    const audioReady = !streamInfo.audioTrack || !!streamInfo.audioFormat;
+    if (!videoReady || !audioReady) {
+      return;
+    }
+
+    streamInfo.pipeline.start(streamInfo.videoFormat, streamInfo.audioFormat);
+    streamInfo.supervisor.processStarted();
+    if (streamInfo.hls) {
+      streamInfo.hls.hasAudio = !!streamInfo.audioFormat;
+    }
+    // Outputs whose supervisor gave up stay failed until they are re-added
+    for (const output of this.getStreamOutputs(streamInfo)) {
+      if (!output.supervisor.gaveUp) {
+        output.start();
+      }
     }
   }
 
   /**
-   * Create SDP file for FFmpeg to receive RTP streams
+   * Everything consuming the encoder's output: destinations, recorder, HLS
    */
-  createSDPForFFmpeg(streamId, pc, ffmpegProcess) {
-    console.log(`[Bridge] Creating SDP for FFmpeg for ${streamId}`);
-    
-    const localDescription = pc.localDescription;
-    if (!localDescription || !localDescription.sdp) {
-      console.error(`[Bridge] No local description for ${streamId}`);
+  getStreamOutputs(streamInfo) {
+    return [
+      ...streamInfo.destinations.values(),
+      streamInfo.recorder,
+      streamInfo.hls,
+    ].filter(Boolean);
+  }
+
+  /**
+   * Restart FFmpeg with the stream's current raw formats
+   *
+   * `reason` labels the restart metric: 'format-change' or 'exit'.
+   */
+  async restartPipeline(streamId, reason = 'format-change') {
+    const streamInfo = this.activeStreams.get(streamId);
+    if (!streamInfo || !streamInfo.pipeline || streamInfo.restarting) {
       return;
     }
 
-    console.log(`[Bridge] SDP created for ${streamId}, RTP processing needed`);
-    console.warn(`[Bridge] NOTE: Full RTP packet processing not implemented yet.`);
-    console.warn(`[Bridge] Consider using mediasoup for production use.`);
+    // Destinations restart too: their copy relays can't follow a new
+    // MPEG-TS stream with different parameters and reset timestamps
+    streamInfo.restarting = true;
+    streamInfo.supervisor.cancel();
+    ffmpegRestarts.inc({ reason });
+    try {
+      await Promise.all([
+        streamInfo.pipeline.stop(),
+        ...this.getStreamOutputs(streamInfo).map(output => output.stop()),
+      ]);
+    } finally {
+      streamInfo.restarting = false;
+    }
+
+    if (this.activeStreams.get(streamId) === streamInfo) {
+      this.startPipelineIfReady(streamId);
+    }
+  }
+
+  /**
+   * Add an output to a live stream without interrupting the others
+   */
+  addDestination(streamId, spec) {
+    const streamInfo = this.activeStreams.get(streamId);
+    if (!streamInfo) {
+      return null;
+    }
+
+    const normalized = this.normalizeDestination(spec, `destination-${streamInfo.destinations.size + 1}`);
+    if (streamInfo.destinations.has(normalized.id)) {
+      const error = new Error(`Destination ${normalized.id} already exists`);
+      error.status = 409;
+      throw error;
+    }
+
+    const destination = this.watchOutput(streamId, new RTMPDestination(streamId, normalized));
+    streamInfo.destinations.set(normalized.id, destination);
+
+    // Joins the MPEG-TS stream mid-flight; it picks up at the next keyframe
+    if (streamInfo.pipeline?.isRunning()) {
+      destination.start();
+    }
+
+    log.info({ streamId, destinationId: normalized.id }, 'Destination added');
+    return destination.getStatus();
+  }
+
+  /**
+   * Remove an output from a live stream without interrupting the others
+   */
+  removeDestination(streamId, destinationId) {
+    const streamInfo = this.activeStreams.get(streamId);
+    const destination = streamInfo?.destinations.get(destinationId);
+    if (!destination) {
+      return false;
+    }
+
+    streamInfo.destinations.delete(destinationId);
+    destination.stop().catch((error) => {
+      log.error({ err: error, streamId, destinationId }, 'Error stopping destination');
+    });
+
+    log.info({ streamId, destinationId }, 'Destination removed');
+    return true;
+  }
+
+  /**
+   * Get per-destination status for a stream
+   */
+  getDestinations(streamId) {
+    const streamInfo = this.activeStreams.get(streamId);
+    if (!streamInfo) {
+      return null;
+    }
+    return Array.from(streamInfo.destinations.values()).map(destination => destination.getStatus());
   }
 
   /**
@@ -371,24 +819,97 @@ class WebRTCToRTMPBridge extends EventEmitter {
   async handleIceCandidate(streamId, candidate) {
     const streamInfo = this.activeStreams.get(streamId);
     if (!streamInfo || !streamInfo.pc) {
-      console.warn(`[Bridge] No peer connection for stream ${streamId}`);
+      log.warn({ streamId }, 'No peer connection for stream');
       return false;
     }
 
     if (!this.wrtcAvailable) {
-      console.warn(`[Bridge] WebRTC not available, cannot handle ICE candidate`);
+      log.warn({ streamId }, 'WebRTC not available, cannot handle ICE candidate');
       return false;
     }
 
     try {
       const rtcCandidate = new RTCIceCandidate(candidate);
       await streamInfo.pc.addIceCandidate(rtcCandidate);
-      console.log(`[Bridge] Added ICE candidate for ${streamId}`);
+      log.debug({ streamId }, 'Added remote ICE candidate');
       return true;
     } catch (error) {
-      console.error(`[Bridge] Error adding ICE candidate for ${streamId}:`, error);
+      log.error({ err: error, streamId }, 'Error adding ICE candidate');
+      return false;
+    }
+  }
+
+  /**
+   * Restart ICE on a session ({ pc, answer, etag }) with new remote credentials
+   *
+   * Re-applies the current remote offer with the client's new ufrag/pwd and
+   * stores the new local answer along with a fresh session ETag.
+   */
+  async restartSessionIce(session, { iceUfrag, icePwd }) {
+    const pc = session.pc;
+
+    const remoteSdp = pc.remoteDescription.sdp
+      .replace(/^a=ice-ufrag:.*$/gm, `a=ice-ufrag:${iceUfrag}`)
+      .replace(/^a=ice-pwd:.*$/gm, `a=ice-pwd:${icePwd}`);
+
+    await pc.setRemoteDescription(new RTCSessionDescription({ type: 'offer', sdp: remoteSdp }));
+    const answer = await pc.createAnswer();
+    await pc.setLocalDescription(answer);
+    await this.waitForIceGathering(pc, 5000);
+
+    session.answer = {
+      type: pc.localDescription.type,
+      sdp: pc.localDescription.sdp,
+    };
+    session.etag = `"${randomUUID()}"`;
+
+    return {
+      answer: session.answer,
+      etag: session.etag,
+    };
+  }
+
+  /**
+   * Restart ICE for an ingest stream (WHIP ICE restart)
+   */
+  async restartIce(streamId, iceParams) {
+    const streamInfo = this.activeStreams.get(streamId);
+    if (!streamInfo || !streamInfo.pc || !streamInfo.pc.remoteDescription) {
+      log.warn({ streamId }, 'No peer connection for stream');
+      return null;
+    }
+
+    log.info({ streamId }, 'Restarting ICE');
+    streamInfo.iceGatheringComplete = false;
+    return this.restartSessionIce(streamInfo, iceParams);
+  }
+
+  /**
+   * Check a stream key against the one the stream was started with
+   */
+  isStreamKeyValid(streamId, streamKey) {
+    const streamInfo = this.activeStreams.get(streamId);
+    if (!streamInfo?.streamKey || !streamKey) {
       return false;
     }
+
+    // Hashed first so the comparison takes the same time whatever the lengths
+    const expected = Buffer.from(hashKey(String(streamInfo.streamKey)));
+    return timingSafeEqual(expected, Buffer.from(hashKey(String(streamKey))));
+  }
+
+  /**
+   * Get the remote (client) SDP currently applied for a stream
+   */
+  getRemoteSdp(streamId) {
+    return this.activeStreams.get(streamId)?.pc?.remoteDescription?.sdp || null;
+  }
+
+  /**
+   * Get the current session ETag for a stream (WHIP)
+   */
+  getStreamEtag(streamId) {
+    return this.activeStreams.get(streamId)?.etag || null;
   }
 
   /**
@@ -402,43 +923,240 @@ class WebRTCToRTMPBridge extends EventEmitter {
     return streamInfo.iceCandidates || [];
   }
 
+  /**
+   * Whether the bridge has finished gathering ICE candidates for a stream
+   */
+  isIceGatheringComplete(streamId) {
+    return !!this.activeStreams.get(streamId)?.iceGatheringComplete;
+  }
+
+  // ============================================
+  // WHEP Playback (viewers)
+  // ============================================
+
+  /**
+   * Add a WHEP viewer to a stream
+   *
+   * Creates a server-side RTCPeerConnection for the viewer's offer and
+   * forwards the ingest peer's audio/video tracks to it, so the broadcaster
+   * uploads the stream once no matter how many viewers watch.
+   */
+  async addViewer(streamId, offer) {
+    const streamInfo = this.activeStreams.get(streamId);
+    if (!streamInfo) {
+      const error = new Error(`Stream ${streamId} not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    if (streamInfo.ingest.protocol !== 'webrtc') {
+      const error = new Error(`Stream ${streamId} is ingested over RTP; WHEP playback needs a WebRTC publisher`);
+      error.status = 409;
+      throw error;
+    }
+
+    const tracks = [streamInfo.audioTrack, streamInfo.videoTrack].filter(Boolean);
+    if (tracks.length === 0) {
+      const error = new Error(`Stream ${streamId} has no media yet`);
+      error.status = 503;
+      throw error;
+    }
+
+    const viewerId = randomUUID();
+    log.info({ streamId, viewerId }, 'Adding viewer');
+
+    const pc = new RTCPeerConnection({
+      iceServers: this.getIceServers(),
+    });
+
+    const viewer = {
+      viewerId,
+      pc,
+      answer: null,
+      etag: null,
+      createdAt: new Date().toISOString(),
+      connectedAt: null,
+    };
+    streamInfo.viewers.set(viewerId, viewer);
+
+    pc.onconnectionstatechange = () => {
+      const state = pc.connectionState;
+      log.info({ streamId, viewerId, connectionState: state }, 'Viewer connection state changed');
+
+      if (state === 'connected') {
+        viewer.connectedAt ??= new Date().toISOString();
+      } else if (state === 'failed' || state === 'closed') {
+        this.removeViewer(streamId, viewerId);
+      }
+    };
+
+    try {
+      await pc.setRemoteDescription(new RTCSessionDescription(offer));
+
+      // After applying a recvonly offer, addTrack reuses the matching
+      // transceiver so the answer comes back sendonly for each kind
+      for (const track of tracks) {
+        pc.addTrack(track);
+      }
+
+      const answer = await pc.createAnswer();
+      await pc.setLocalDescription(answer);
+      await this.waitForIceGathering(pc, 5000);
+
+      viewer.answer = {
+        type: pc.localDescription.type,
+        sdp: pc.localDescription.sdp,
+      };
+      viewer.etag = `"${randomUUID()}"`;
+
+      log.info({ streamId, viewerId, viewerCount: streamInfo.viewers.size }, 'Viewer added');
+
+      return {
+        viewerId,
+        answer: viewer.answer,
+        etag: viewer.etag,
+      };
+    } catch (error) {
+      log.error({ err: error, streamId, viewerId }, 'Error adding viewer');
+      this.removeViewer(streamId, viewerId);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a viewer session for a stream
+   */
+  getViewer(streamId, viewerId) {
+    return this.activeStreams.get(streamId)?.viewers.get(viewerId) || null;
+  }
+
+  /**
+   * Handle ICE candidate from a viewer
+   */
+  async handleViewerIceCandidate(streamId, viewerId, candidate) {
+    const viewer = this.getViewer(streamId, viewerId);
+    if (!viewer) {
+      log.warn({ streamId, viewerId }, 'No such viewer');
+      return false;
+    }
+
+    try {
+      await viewer.pc.addIceCandidate(new RTCIceCandidate(candidate));
+      return true;
+    } catch (error) {
+      log.error({ err: error, streamId, viewerId }, 'Error adding viewer ICE candidate');
+      return false;
+    }
+  }
+
+  /**
+   * Restart ICE for a viewer (WHEP ICE restart)
+   */
+  async restartViewerIce(streamId, viewerId, iceParams) {
+    const viewer = this.getViewer(streamId, viewerId);
+    if (!viewer || !viewer.pc.remoteDescription) {
+      log.warn({ streamId, viewerId }, 'No such viewer');
+      return null;
+    }
+
+    log.info({ streamId, viewerId }, 'Restarting viewer ICE');
+    return this.restartSessionIce(viewer, iceParams);
+  }
+
+  /**
+   * Remove a viewer and close its peer connection
+   */
+  removeViewer(streamId, viewerId) {
+    const streamInfo = this.activeStreams.get(streamId);
+    const viewer = streamInfo?.viewers.get(viewerId);
+    if (!viewer) {
+      return false;
+    }
+
+    streamInfo.viewers.delete(viewerId);
+
+    try {
+      viewer.pc.close();
+    } catch (error) {
+      log.error({ err: error, streamId, viewerId }, 'Error closing viewer peer connection');
+    }
+
+    log.info({ streamId, viewerId }, 'Viewer removed');
+    return true;
+  }
+
   /**
    * Cleanup stream resources
+   *
+   * `reason` is reported with 'stream-cleaned', e.g. 'stopped' (the
+   * publisher ended the stream), 'replaced', 'connection-failed',
+   * 'track-ended', 'ffmpeg-failed', 'shutdown' or one of the watchdog's
+   * 'connect-timeout', 'no-media' and 'max-duration'.
+   *
+   * The stream is removed right away; the returned promise resolves once
+   * FFmpeg has flushed and every output has stopped.
    */
-  cleanupStream(streamId) {
-    console.log(`[Bridge] Cleaning up stream: ${streamId}`);
+  cleanupStream(streamId, reason = 'stopped') {
+    log.info({ streamId, reason }, 'Cleaning up stream');
     
     const streamInfo = this.activeStreams.get(streamId);
     if (!streamInfo) {
-      return;
+      return Promise.resolve();
+    }
+
+    for (const viewerId of Array.from(streamInfo.viewers.keys())) {
+      this.removeViewer(streamId, viewerId);
     }
 
     if (streamInfo.pc) {
       try {
         streamInfo.pc.close();
       } catch (error) {
-        console.error(`[Bridge] Error closing peer connection for ${streamId}:`, error);
+        log.error({ err: error, streamId }, 'Error closing peer connection');
       }
     }
 
-    if (streamInfo.ffmpeg) {
-      try {
-        streamInfo.ffmpeg.kill('SIGTERM');
-        setTimeout(() => {
-          if (streamInfo.ffmpeg && !streamInfo.ffmpeg.killed) {
-            streamInfo.ffmpeg.kill('SIGKILL');
-          }
-        }, 5000);
-      } catch (error) {
-        console.error(`[Bridge] Error killing FFmpeg for ${streamId}:`, error);
+    for (const sink of [streamInfo.audioSink, streamInfo.videoSink]) {
+      if (sink) {
+        try {
+          sink.stop();
+        } catch (error) {
+          log.error({ err: error, streamId }, 'Error stopping media sink');
+        }
       }
     }
 
+    // Stop the encoder first so its final output reaches every destination
+    // and the recording is finalized with everything FFmpeg flushed
+    const outputs = this.getStreamOutputs(streamInfo);
+
+    streamInfo.supervisor?.cancel();
+    const stopPipeline = streamInfo.pipeline ? streamInfo.pipeline.stop() : Promise.resolve();
+    const stopped = stopPipeline
+      .catch((error) => {
+        log.error({ err: error, streamId }, 'Error stopping FFmpeg');
+      })
+      .then(() => Promise.all(outputs.map(output =>
+        output.stop().catch((error) => {
+          log.error({ err: error, streamId, destinationId: output.id }, 'Error stopping output');
+        })
+      )))
+      .then(() => streamInfo.hls?.removeFiles())
+      .catch((error) => {
+        log.error({ err: error, streamId }, 'Error removing HLS segments');
+      })
+      .then(() => {
+        // Only once FFmpeg has exited and let go of the ports
+        if (streamInfo.ingest.protocol === 'rtp') {
+          this.rtpPorts.release(streamInfo.ingest.videoPort);
+        }
+      });
+
     if (streamInfo.audioTrack) {
       try {
         streamInfo.audioTrack.stop();
       } catch (error) {
-        console.error(`[Bridge] Error stopping audio track for ${streamId}:`, error);
+        log.error({ err: error, streamId }, 'Error stopping audio track');
       }
     }
 
@@ -446,14 +1164,137 @@ class WebRTCToRTMPBridge extends EventEmitter {
       try {
         streamInfo.videoTrack.stop();
       } catch (error) {
-        console.error(`[Bridge] Error stopping video track for ${streamId}:`, error);
+        log.error({ err: error, streamId }, 'Error stopping video track');
       }
     }
 
     this.activeStreams.delete(streamId);
+    removeStreamMetrics(streamId);
+    this.recordEnded(streamId, streamInfo, reason);
     
-    this.emit('stream-cleaned', streamId);
-    console.log(`[Bridge] ✅ Stream ${streamId} cleaned up`);
+    this.emit('stream-cleaned', streamId, reason);
+    log.info({ streamId }, 'Stream cleaned up');
+    return stopped;
+  }
+
+  /**
+   * Clean up a stream only while `streamInfo` is its current session, so
+   * late events from a replaced session don't end the one that replaced it
+   */
+  cleanupSession(streamId, streamInfo, reason) {
+    if (this.activeStreams.get(streamId) !== streamInfo) {
+      return Promise.resolve();
+    }
+    return this.cleanupStream(streamId, reason);
+  }
+
+  /**
+   * Remember why a session ended; the oldest entries are dropped past
+   * MAX_ENDED_STREAMS
+   */
+  recordEnded(streamId, streamInfo, reason) {
+    this.endedStreams.delete(streamId);
+    this.endedStreams.set(streamId, {
+      reason,
+      startedAt: new Date(streamInfo.createdAt).toISOString(),
+      endedAt: new Date().toISOString(),
+    });
+    if (this.endedStreams.size > MAX_ENDED_STREAMS) {
+      this.endedStreams.delete(this.endedStreams.keys().next().value);
+    }
+
+    this.endedCounts[reason] = (this.endedCounts[reason] || 0) + 1;
+    streamsEnded.inc({ reason });
+  }
+
+  /**
+   * How the last session of a stream ended, or null if none is remembered
+   */
+  getEndedStream(streamId) {
+    const ended = this.endedStreams.get(streamId);
+    return ended ? { streamId, ...ended } : null;
+  }
+
+  /**
+   * Watchdog pass: clean up sessions that are stuck connecting, have gone
+   * quiet or exceeded the maximum duration, and viewers that never connected
+   */
+  checkStreams(now = Date.now()) {
+    for (const [streamId, streamInfo] of Array.from(this.activeStreams)) {
+      let reason = null;
+      if (!streamInfo.connectedAt) {
+        if (this.connectTimeoutMs > 0 && now - streamInfo.createdAt >= this.connectTimeoutMs) {
+          reason = 'connect-timeout';
+        }
+      } else if (this.mediaTimeoutMs > 0 && now - (streamInfo.lastMediaAt ?? streamInfo.connectedAt) >= this.mediaTimeoutMs) {
+        // Covers both ontrack never firing and tracks that stopped delivering frames
+        reason = 'no-media';
+      }
+      if (!reason && this.maxDurationMs > 0 && now - streamInfo.createdAt >= this.maxDurationMs) {
+        reason = 'max-duration';
+      }
+
+      if (reason) {
+        log.warn({ streamId, reason, connectionState: streamInfo.pc?.connectionState }, 'Watchdog ending stream');
+        this.cleanupStream(streamId, reason);
+        continue;
+      }
+
+      if (this.connectTimeoutMs > 0) {
+        for (const [viewerId, viewer] of Array.from(streamInfo.viewers)) {
+          if (!viewer.connectedAt && now - Date.parse(viewer.createdAt) >= this.connectTimeoutMs) {
+            log.warn({ streamId, viewerId }, 'Watchdog removing viewer that never connected');
+            this.removeViewer(streamId, viewerId);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Watchdog settings and how sessions ended, for the stats endpoint
+   */
+  getWatchdogStats() {
+    return {
+      connectTimeoutMs: this.connectTimeoutMs,
+      mediaTimeoutMs: this.mediaTimeoutMs,
+      maxDurationMs: this.maxDurationMs,
+      endedByReason: { ...this.endedCounts },
+    };
+  }
+
+  /**
+   * Clean up every stream (server shutdown), waiting for FFmpeg to flush
+   */
+  async shutdown() {
+    clearInterval(this.watchdogTimer);
+    await Promise.all(this.getStreamIds().map(streamId => this.cleanupStream(streamId, 'shutdown')));
+  }
+
+  /**
+   * Whether a stream is handled by this bridge instance
+   */
+  hasStream(streamId) {
+    return this.activeStreams.has(streamId);
+  }
+
+  /**
+   * Count streams by peer connection state (for metrics)
+   */
+  countStreamsByState() {
+    const counts = {};
+    for (const { pc } of this.activeStreams.values()) {
+      const state = pc?.connectionState || 'unknown';
+      counts[state] = (counts[state] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Ids of the streams handled by this bridge instance
+   */
+  getStreamIds() {
+    return Array.from(this.activeStreams.keys());
   }
 
   /**
@@ -474,12 +1315,28 @@ class WebRTCToRTMPBridge extends EventEmitter {
 
     return {
       streamId,
-      streamKey: streamInfo.streamKey,
+      streamKey: maskSecret(streamInfo.streamKey),
+      ingest: streamInfo.ingest,
+      passthrough: streamInfo.passthrough,
       connectionState: streamInfo.pc?.connectionState || 'unknown',
       iceConnectionState: streamInfo.pc?.iceConnectionState || 'unknown',
       hasAudio: !!streamInfo.audioTrack,
       hasVideo: !!streamInfo.videoTrack,
-      ffmpegRunning: streamInfo.ffmpeg && !streamInfo.ffmpeg.killed,
+      ffmpegRunning: !!streamInfo.pipeline?.isRunning(),
+      progress: streamInfo.progress,
+      restarts: streamInfo.supervisor ? streamInfo.supervisor.getStatus() : null,
+      videoFormat: streamInfo.videoFormat,
+      audioFormat: streamInfo.audioFormat,
+      profile: streamInfo.profile,
+      codecs: streamInfo.codecs,
+      destinations: this.getDestinations(streamId),
+      recording: streamInfo.recorder ? streamInfo.recorder.getStatus() : null,
+      hls: streamInfo.hls ? streamInfo.hls.getStatus() : null,
+      viewerCount: streamInfo.viewers.size,
+      startedAt: new Date(streamInfo.createdAt).toISOString(),
+      connectedAt: streamInfo.connectedAt ? new Date(streamInfo.connectedAt).toISOString() : null,
+      lastMediaAt: streamInfo.lastMediaAt ? new Date(streamInfo.lastMediaAt).toISOString() : null,
+      endsAt: this.maxDurationMs > 0 ? new Date(streamInfo.createdAt + this.maxDurationMs).toISOString() : null,
       wrtcAvailable: this.wrtcAvailable,
     };
   }
@@ -0,0 +1,107 @@
+import { test, describe, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import bridge from './WebRTCToRTMPBridge.js';
+
+test('stream keys are checked against the running session', async () => {
+  await bridge.createSession('keyed', 'right-key', {});
+
+  assert.equal(bridge.isStreamKeyValid('keyed', 'right-key'), true);
+  assert.equal(bridge.isStreamKeyValid('keyed', 'wrong-key'), false);
+  assert.equal(bridge.isStreamKeyValid('keyed', 'right-key-but-longer'), false);
+  assert.equal(bridge.isStreamKeyValid('keyed', undefined), false);
+  assert.equal(bridge.isStreamKeyValid('not-running', 'right-key'), false);
+
+  await bridge.cleanupStream('keyed');
+});
+
+describe('bridge watchdog', () => {
+  const settings = {
+    connectTimeoutMs: bridge.connectTimeoutMs,
+    mediaTimeoutMs: bridge.mediaTimeoutMs,
+    maxDurationMs: bridge.maxDurationMs,
+  };
+
+  // A session without a peer connection or outputs, started at t=0
+  const startSession = (streamId, fields = {}) => bridge.createSession(streamId, 'key', { createdAt: 0, ...fields });
+
+  // Checks only run with the times the tests pass in
+  before(() => {
+    clearInterval(bridge.watchdogTimer);
+  });
+
+  beforeEach(() => {
+    Object.assign(bridge, { connectTimeoutMs: 1000, mediaTimeoutMs: 3000, maxDurationMs: 0 });
+  });
+
+  after(async () => {
+    await bridge.shutdown();
+    Object.assign(bridge, settings);
+  });
+
+  test('ends sessions that never connect', async () => {
+    await startSession('never-connects');
+    const cleaned = [];
+    const onCleaned = (streamId, reason) => cleaned.push([streamId, reason]);
+    bridge.on('stream-cleaned', onCleaned);
+
+    bridge.checkStreams(999);
+    assert.ok(bridge.hasStream('never-connects'));
+
+    bridge.checkStreams(1000);
+    bridge.off('stream-cleaned', onCleaned);
+    assert.equal(bridge.hasStream('never-connects'), false);
+    assert.deepEqual(cleaned, [['never-connects', 'connect-timeout']]);
+    assert.equal(bridge.getEndedStream('never-connects').reason, 'connect-timeout');
+  });
+
+  test('ends sessions whose media stopped', async () => {
+    await startSession('goes-quiet', { connectedAt: 500, lastMediaAt: 5000 });
+
+    bridge.checkStreams(7999);
+    assert.ok(bridge.hasStream('goes-quiet'));
+
+    bridge.checkStreams(8000);
+    assert.equal(bridge.getEndedStream('goes-quiet').reason, 'no-media');
+  });
+
+  test('ends connected sessions that never sent media', async () => {
+    await startSession('no-tracks', { connectedAt: 500 });
+
+    bridge.checkStreams(3499);
+    assert.ok(bridge.hasStream('no-tracks'));
+
+    bridge.checkStreams(3500);
+    assert.equal(bridge.getEndedStream('no-tracks').reason, 'no-media');
+  });
+
+  test('ends sessions past the maximum duration', async () => {
+    bridge.maxDurationMs = 10000;
+    await startSession('runs-long', { connectedAt: 500, lastMediaAt: 9000 });
+
+    bridge.checkStreams(9999);
+    assert.ok(bridge.hasStream('runs-long'));
+
+    bridge.checkStreams(10000);
+    assert.equal(bridge.getEndedStream('runs-long').reason, 'max-duration');
+  });
+
+  test('a timeout of 0 turns its check off', async () => {
+    Object.assign(bridge, { connectTimeoutMs: 0, mediaTimeoutMs: 0 });
+    await startSession('waiting');
+    await startSession('quiet', { connectedAt: 500 });
+
+    bridge.checkStreams(24 * 60 * 60 * 1000);
+
+    assert.ok(bridge.hasStream('waiting'));
+    assert.ok(bridge.hasStream('quiet'));
+    await Promise.all(['waiting', 'quiet'].map(streamId => bridge.cleanupStream(streamId)));
+  });
+
+  test('stats count how sessions ended', () => {
+    const { endedByReason } = bridge.getWatchdogStats();
+
+    assert.equal(endedByReason['connect-timeout'], 1);
+    assert.equal(endedByReason['no-media'], 2);
+    assert.equal(endedByReason['max-duration'], 1);
+  });
+});
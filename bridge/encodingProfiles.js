@@ -0,0 +1,118 @@
+// Encoding profiles for the bridge encoder
+//
+// A profile sets how a bridged stream is encoded before it is sent to its
+// destinations. Offers pick one by name ("profile"); ENCODING_PROFILE sets
+// the default. Built-in profiles:
+//
+//   default        source resolution, 2500k, keyframe every 30 frames
+//   720p30         up to 720p at 30 fps, 2500k
+//   1080p30        up to 1080p at 30 fps, 4500k
+//   low-bandwidth  up to 480p at 24 fps, 800k video, 64k audio
+//
+// ENCODING_PROFILES_FILE points at a JSON object of extra (or overriding)
+// profiles; fields left out fall back to the "default" profile:
+//
+//   { "720p60": { "resolution": 720, "fps": 60, "videoBitrate": "4000k" } }
+//
+// `resolution` is the short side of the frame, so portrait streams from
+// phones keep their orientation; streams are never upscaled.
+
+import fs from 'fs';
+
+const BASE_PROFILE = {
+  resolution: null,
+  fps: null,
+  videoBitrate: '2500k',
+  preset: 'veryfast',
+  keyframeInterval: 30,
+  audioBitrate: '128k',
+  audioSampleRate: 48000,
+  audioChannels: 2,
+};
+
+const BUILT_IN_PROFILES = {
+  default: {},
+  '720p30': { resolution: 720, fps: 30, videoBitrate: '2500k', keyframeInterval: 60 },
+  '1080p30': { resolution: 1080, fps: 30, videoBitrate: '4500k', keyframeInterval: 60 },
+  'low-bandwidth': { resolution: 480, fps: 24, videoBitrate: '800k', keyframeInterval: 48, audioBitrate: '64k' },
+};
+
+const PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+const BITRATE_PATTERN = /^\d+k$/;
+
+let profiles = null;
+
+/**
+ * Check a profile's fields; throws with the profile name on bad values
+ */
+function validateProfile(name, profile) {
+  const fail = (message) => {
+    throw new Error(`Invalid encoding profile "${name}": ${message}`);
+  };
+  const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+  if (profile.resolution !== null && (!isPositiveInteger(profile.resolution) || profile.resolution % 2 !== 0)) {
+    fail('resolution must be an even number of pixels');
+  }
+  if (profile.fps !== null && !isPositiveInteger(profile.fps)) {
+    fail('fps must be a positive integer');
+  }
+  for (const field of ['videoBitrate', 'audioBitrate']) {
+    if (!BITRATE_PATTERN.test(profile[field])) {
+      fail(`${field} must look like "2500k"`);
+    }
+  }
+  if (!PRESETS.includes(profile.preset)) {
+    fail(`preset must be one of: ${PRESETS.join(', ')}`);
+  }
+  for (const field of ['keyframeInterval', 'audioSampleRate', 'audioChannels']) {
+    if (!isPositiveInteger(profile[field])) {
+      fail(`${field} must be a positive integer`);
+    }
+  }
+  return profile;
+}
+
+/**
+ * All encoding profiles: built-ins plus ENCODING_PROFILES_FILE
+ */
+export function getEncodingProfiles() {
+  if (profiles) {
+    return profiles;
+  }
+
+  const configured = process.env.ENCODING_PROFILES_FILE
+    ? JSON.parse(fs.readFileSync(process.env.ENCODING_PROFILES_FILE, 'utf8'))
+    : {};
+
+  const merged = {};
+  for (const [name, overrides] of Object.entries({ ...BUILT_IN_PROFILES, ...configured })) {
+    merged[name] = validateProfile(name, { ...BASE_PROFILE, ...BUILT_IN_PROFILES.default, ...configured.default, ...overrides });
+  }
+
+  const defaultName = process.env.ENCODING_PROFILE || 'default';
+  if (!merged[defaultName]) {
+    throw new Error(`ENCODING_PROFILE "${defaultName}" is not a known encoding profile`);
+  }
+
+  profiles = { defaultName, byName: merged };
+  return profiles;
+}
+
+/**
+ * Look up a profile by name (the default when no name is given)
+ *
+ * Returns { name, ...settings }; unknown names throw with status 400.
+ */
+export function resolveEncodingProfile(name) {
+  const { defaultName, byName } = getEncodingProfiles();
+  const profileName = name || defaultName;
+
+  if (!Object.prototype.hasOwnProperty.call(byName, profileName)) {
+    const error = new Error(`Unknown encoding profile "${profileName}" (available: ${Object.keys(byName).join(', ')})`);
+    error.status = 400;
+    throw error;
+  }
+
+  return { name: profileName, ...byName[profileName] };
+}
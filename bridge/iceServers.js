@@ -0,0 +1,99 @@
+// ICE server configuration shared by the bridge, the room SFU and clients
+// (GET /ice-servers)
+//
+// STUN_SERVERS is a comma-separated list of STUN URLs (default: Google's
+// public servers; set it empty for none). TURN_SERVER_URL lists TURN servers,
+// either as full turn:/turns: URLs or as host:port (expanded to UDP and TCP).
+//
+// TURN credentials come from one of:
+//   - TURN_SECRET: time-limited credentials per the TURN REST API scheme
+//     (coturn `use-auth-secret` / `static-auth-secret`). The username is
+//     "<expiry unix time>:<userId>" and the credential is the base64
+//     HMAC-SHA1 of the username keyed with the secret. They stay valid for
+//     TURN_CREDENTIAL_TTL_SECONDS (default 86400).
+//   - TURN_USERNAME / TURN_CREDENTIAL: static credentials, used as they are.
+
+import { createHmac } from 'crypto';
+
+const DEFAULT_STUN_SERVERS = 'stun:stun.l.google.com:19302,stun:stun1.l.google.com:19302';
+
+function splitList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Time-limited TURN credentials for a user (TURN REST API scheme)
+ *
+ * Returns { username, credential, ttl, expiresAt }; ttl is in seconds.
+ */
+export function createTurnCredentials(secret, userId, ttl) {
+  const expiry = Math.floor(Date.now() / 1000) + ttl;
+  const username = userId ? `${expiry}:${userId}` : String(expiry);
+  const credential = createHmac('sha1', secret).update(username).digest('base64');
+  return {
+    username,
+    credential,
+    ttl,
+    expiresAt: new Date(expiry * 1000).toISOString(),
+  };
+}
+
+/**
+ * TURN URLs from TURN_SERVER_URL; bare host:port entries become UDP and TCP.
+ * turn://host and turns://host are accepted as turn:host and turns:host.
+ */
+function getTurnUrls() {
+  return splitList(process.env.TURN_SERVER_URL).flatMap((entry) => {
+    const url = entry.replace(/^(turns?):\/\//, '$1:');
+    if (url.startsWith('turn:') || url.startsWith('turns:')) {
+      return [url];
+    }
+    return [`turn:${url}?transport=udp`, `turn:${url}?transport=tcp`];
+  });
+}
+
+/**
+ * Get ICE servers configuration, with TURN credentials for `userId`
+ *
+ * Returns { iceServers, ttl, expiresAt }; ttl and expiresAt are null unless
+ * the TURN credentials are time-limited.
+ */
+export function getIceServerConfig({ userId = null } = {}) {
+  const iceServers = splitList(process.env.STUN_SERVERS ?? DEFAULT_STUN_SERVERS)
+    .map(urls => ({ urls }));
+
+  const turnUrls = getTurnUrls();
+  if (turnUrls.length === 0) {
+    return { iceServers, ttl: null, expiresAt: null };
+  }
+
+  let ttl = null;
+  let expiresAt = null;
+  let username = process.env.TURN_USERNAME || undefined;
+  let credential = process.env.TURN_CREDENTIAL || undefined;
+
+  if (process.env.TURN_SECRET) {
+    const generated = createTurnCredentials(
+      process.env.TURN_SECRET,
+      userId,
+      parseInt(process.env.TURN_CREDENTIAL_TTL_SECONDS ?? '86400', 10)
+    );
+    ({ username, credential, ttl, expiresAt } = generated);
+  }
+
+  for (const urls of turnUrls) {
+    iceServers.push({ urls, username, credential });
+  }
+
+  return { iceServers, ttl, expiresAt };
+}
+
+/**
+ * Get ICE servers for an RTCPeerConnection
+ */
+export function getIceServers(options) {
+  return getIceServerConfig(options).iceServers;
+}
@@ -0,0 +1,81 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTurnCredentials, getIceServerConfig } from './iceServers.js';
+
+const ENV_NAMES = ['STUN_SERVERS', 'TURN_SERVER_URL', 'TURN_SECRET', 'TURN_USERNAME', 'TURN_CREDENTIAL', 'TURN_CREDENTIAL_TTL_SECONDS'];
+
+describe('TURN REST credentials', () => {
+  beforeEach(() => {
+    mock.method(Date, 'now', () => 1699999000 * 1000);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('username is "<expiry>:<userId>" and credential its base64 HMAC-SHA1', () => {
+    // printf '1700000000:alice' | openssl dgst -sha1 -hmac change-me -binary | base64
+    assert.deepEqual(createTurnCredentials('change-me', 'alice', 1000), {
+      username: '1700000000:alice',
+      credential: 'chhaMHkbxbWMPcA9rQ6pGF2C1WU=',
+      ttl: 1000,
+      expiresAt: '2023-11-14T22:13:20.000Z',
+    });
+  });
+
+  test('username is the bare expiry without a user', () => {
+    assert.equal(createTurnCredentials('change-me', null, 1000).username, '1700000000');
+  });
+});
+
+describe('ICE server config', () => {
+  let savedEnv;
+
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(ENV_NAMES.map(name => [name, process.env[name]]));
+    for (const name of ENV_NAMES) {
+      delete process.env[name];
+    }
+    process.env.STUN_SERVERS = '';
+  });
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(savedEnv)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  test('turn:// and turns:// URLs are used as turn: and turns:', () => {
+    process.env.TURN_SERVER_URL = 'turn://turn.example.com:3478,turns://turn.example.com:5349';
+
+    const urls = getIceServerConfig().iceServers.map(server => server.urls);
+
+    assert.deepEqual(urls, ['turn:turn.example.com:3478', 'turns:turn.example.com:5349']);
+  });
+
+  test('bare host:port expands to UDP and TCP', () => {
+    process.env.TURN_SERVER_URL = 'turn.example.com:3478';
+
+    const urls = getIceServerConfig().iceServers.map(server => server.urls);
+
+    assert.deepEqual(urls, ['turn:turn.example.com:3478?transport=udp', 'turn:turn.example.com:3478?transport=tcp']);
+  });
+
+  test('TURN_SECRET credentials take precedence over static ones', () => {
+    process.env.TURN_SERVER_URL = 'turn:turn.example.com:3478';
+    process.env.TURN_USERNAME = 'static';
+    process.env.TURN_CREDENTIAL = 'static-password';
+    process.env.TURN_SECRET = 'change-me';
+    process.env.TURN_CREDENTIAL_TTL_SECONDS = '600';
+
+    const { iceServers, ttl } = getIceServerConfig({ userId: 'alice' });
+
+    assert.equal(ttl, 600);
+    assert.match(iceServers[0].username, /^\d+:alice$/);
+    assert.notEqual(iceServers[0].credential, 'static-password');
+  });
+});
@@ -0,0 +1,98 @@
+// SDP fragment helpers for WHIP/WHEP trickle ICE
+//
+// Trickle ICE and ICE restarts are carried in PATCH requests with the
+// application/trickle-ice-sdpfrag media type (RFC 8840). A fragment holds
+// ICE credentials plus per-media a=mid / a=candidate lines, e.g.:
+//
+//   a=ice-ufrag:EsAw
+//   a=ice-pwd:P2uYro0UCOQ4zxjKXaWCBui1
+//   m=audio 9 UDP/TLS/RTP/SAVPF 111
+//   a=mid:0
+//   a=candidate:1387637174 1 udp 2122260223 192.0.2.1 61764 typ host
+//   a=end-of-candidates
+
+export const SDP_FRAG_CONTENT_TYPE = 'application/trickle-ice-sdpfrag';
+
+/**
+ * Parse a trickle-ice-sdpfrag body
+ *
+ * Returns { iceUfrag, icePwd, candidates, endOfCandidates } where each
+ * candidate is shaped for RTCIceCandidate ({ candidate, sdpMid, sdpMLineIndex }).
+ */
+export function parseSdpFrag(body) {
+  const result = {
+    iceUfrag: null,
+    icePwd: null,
+    candidates: [],
+    endOfCandidates: false,
+  };
+
+  let mLineIndex = -1;
+  let mid = null;
+
+  for (const rawLine of String(body || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) {
+      continue;
+    }
+
+    if (line.startsWith('m=')) {
+      mLineIndex++;
+      mid = null;
+    } else if (line.startsWith('a=mid:')) {
+      mid = line.substring('a=mid:'.length);
+    } else if (line.startsWith('a=ice-ufrag:')) {
+      result.iceUfrag = result.iceUfrag || line.substring('a=ice-ufrag:'.length);
+    } else if (line.startsWith('a=ice-pwd:')) {
+      result.icePwd = result.icePwd || line.substring('a=ice-pwd:'.length);
+    } else if (line.startsWith('a=candidate:')) {
+      result.candidates.push({
+        candidate: line.substring('a='.length),
+        sdpMid: mid,
+        sdpMLineIndex: mLineIndex >= 0 ? mLineIndex : 0,
+      });
+    } else if (line === 'a=end-of-candidates') {
+      result.endOfCandidates = true;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Extract the ICE ufrag/pwd currently used in a full SDP
+ */
+export function getIceCredentials(sdp) {
+  const ufrag = /^a=ice-ufrag:(.*)$/m.exec(sdp || '');
+  const pwd = /^a=ice-pwd:(.*)$/m.exec(sdp || '');
+  return {
+    iceUfrag: ufrag ? ufrag[1].trim() : null,
+    icePwd: pwd ? pwd[1].trim() : null,
+  };
+}
+
+/**
+ * Build a trickle-ice-sdpfrag from a full SDP (used to answer ICE restarts)
+ */
+export function buildSdpFrag(sdp) {
+  const { iceUfrag, icePwd } = getIceCredentials(sdp);
+  const lines = [];
+
+  if (iceUfrag && icePwd) {
+    lines.push(`a=ice-ufrag:${iceUfrag}`, `a=ice-pwd:${icePwd}`);
+  }
+
+  for (const rawLine of String(sdp || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (
+      line.startsWith('m=') ||
+      line.startsWith('a=mid:') ||
+      line.startsWith('a=candidate:') ||
+      line === 'a=end-of-candidates'
+    ) {
+      lines.push(line);
+    }
+  }
+
+  return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,66 @@
+// wrtc loader
+//
+// Loads the native 'wrtc' module once and shares its classes with the RTMP
+// bridge and the room SFU. The exports are live bindings, so importers see
+// the classes as soon as loading succeeds.
+//
+// NOTE: 'wrtc' has installation issues on Windows; everything here degrades
+// to wrtcAvailable = false with warnings instead of throwing.
+
+import { createLogger } from '../logging/logger.js';
+
+const log = createLogger('webrtc');
+
+// Try to import wrtc, but handle gracefully if not available
+export let RTCPeerConnection, RTCSessionDescription, RTCIceCandidate;
+export let RTCAudioSink, RTCVideoSink;
+export let wrtcAvailable = false;
+
+// Dynamic import function
+export async function loadWrtc() {
+  try {
+    const wrtcModule = await import('wrtc');
+    
+    // Handle different export patterns from wrtc
+    // Try direct exports first, then default export, then check module structure
+    if (wrtcModule.RTCPeerConnection) {
+      RTCPeerConnection = wrtcModule.RTCPeerConnection;
+      RTCSessionDescription = wrtcModule.RTCSessionDescription;
+      RTCIceCandidate = wrtcModule.RTCIceCandidate;
+      ({ RTCAudioSink, RTCVideoSink } = wrtcModule.nonstandard || {});
+    } else if (wrtcModule.default) {
+      // Handle default export
+      RTCPeerConnection = wrtcModule.default.RTCPeerConnection;
+      RTCSessionDescription = wrtcModule.default.RTCSessionDescription;
+      RTCIceCandidate = wrtcModule.default.RTCIceCandidate;
+      ({ RTCAudioSink, RTCVideoSink } = wrtcModule.default.nonstandard || {});
+    } else {
+      // Try to find exports in the module
+      const keys = Object.keys(wrtcModule);
+      log.debug({ exports: keys }, 'Available exports from wrtc');
+      throw new Error('RTCPeerConnection not found in wrtc exports');
+    }
+    
+    if (!RTCPeerConnection || !RTCSessionDescription || !RTCIceCandidate) {
+      throw new Error('Required WebRTC classes not found in wrtc module');
+    }
+
+    if (!RTCAudioSink || !RTCVideoSink) {
+      throw new Error('Media sinks (wrtc nonstandard API) not found in wrtc module');
+    }
+    
+    wrtcAvailable = true;
+    log.info('WebRTC (wrtc) module loaded');
+    return true;
+  } catch (error) {
+    log.warn(
+      { reason: error.message.split('\n')[0] },
+      'WebRTC (wrtc) module not available: bridge and SFU rooms cannot process WebRTC connections. Install wrtc (npm install wrtc) or run on Linux/Docker'
+    );
+    wrtcAvailable = false;
+    return false;
+  }
+}
+
+// Load wrtc on module initialization
+loadWrtc();
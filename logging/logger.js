@@ -0,0 +1,96 @@
+// Structured logging
+//
+// JSON lines via pino. LOG_LEVEL (trace, debug, info, warn, error, fatal;
+// default info) sets verbosity. Each module logs through a child logger
+// (createLogger('bridge')) and passes correlation fields such as socketId,
+// roomId and streamId as the first argument:
+//
+//   log.info({ streamId, destinationId }, 'Destination started');
+//   log.error({ err: error, streamId }, 'FFmpeg failed');
+//
+// Secrets are redacted by default: stream keys, tokens, credentials, cookies
+// and Authorization headers, wherever they appear as fields. URLs that may
+// embed a secret go through redactUrl() before being logged.
+
+import pino from 'pino';
+
+const REDACTED = '[REDACTED]';
+
+const REDACT_PATHS = [
+  'streamKey', '*.streamKey',
+  'token', '*.token',
+  'resumeToken', '*.resumeToken',
+  'credential', '*.credential',
+  'password', '*.password',
+  'secret', '*.secret',
+  'headers.cookie', '*.headers.cookie',
+  'headers.authorization', '*.headers.authorization',
+  'headers["set-cookie"]', '*.headers["set-cookie"]',
+  'query.token', '*.query.token',
+  'auth.token', '*.auth.token',
+];
+
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  base: { service: 'webrtc-signaling-server' },
+  timestamp: pino.stdTimeFunctions.isoTime,
+  formatters: {
+    level: (label) => ({ level: label }),
+  },
+  redact: {
+    paths: REDACT_PATHS,
+    censor: REDACTED,
+  },
+});
+
+/**
+ * Child logger for a module (signaling, bridge, ffmpeg, ...)
+ */
+export function createLogger(module, fields = {}) {
+  return logger.child({ module, ...fields });
+}
+
+/**
+ * Mask secrets embedded in a URL: credentials, token/key query parameters
+ * and the stream key segment of RTMP URLs (rtmp://host/app/<key>)
+ */
+export function redactUrl(url) {
+  if (!url) {
+    return url;
+  }
+
+  try {
+    const parsed = new URL(url);
+    if (parsed.password) {
+      parsed.password = REDACTED;
+    }
+    for (const name of Array.from(parsed.searchParams.keys())) {
+      if (/token|key|secret|signature|password/i.test(name)) {
+        parsed.searchParams.set(name, REDACTED);
+      }
+    }
+
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    if (/^rtmps?:$/.test(parsed.protocol) && segments.length > 1) {
+      segments[segments.length - 1] = REDACTED;
+      parsed.pathname = '/' + segments.join('/');
+    }
+
+    return decodeURIComponent(parsed.toString());
+  } catch (error) {
+    return REDACTED;
+  }
+}
+
+/**
+ * Mask a secret for API responses, keeping the last 4 characters of long
+ * values so operators can tell keys apart ("****abcd")
+ */
+export function maskSecret(value) {
+  if (!value) {
+    return value ?? null;
+  }
+  return value.length > 8 ? `****${value.slice(-4)}` : '****';
+}
+
+export default logger;
@@ -0,0 +1,180 @@
+// Prometheus metrics
+//
+// Served in text format at GET /metrics. Counters and histograms are updated
+// where things happen (signaling relays, bridge, FFmpeg); gauges describing
+// current state (sockets, rooms, streams) are computed at scrape time by
+// registerStateMetrics(). Values are per node.
+
+import client from 'prom-client';
+import { ROLES } from '../auth/Authenticator.js';
+
+export const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+// Signaling
+
+export const relayedMessages = new client.Counter({
+  name: 'signaling_messages_relayed_total',
+  help: 'Signaling messages relayed between peers, by type',
+  labelNames: ['type'],
+  registers: [register],
+});
+
+export const relayMisses = new client.Counter({
+  name: 'signaling_relay_misses_total',
+  help: 'Signaling messages dropped because the target user was not found (or did not join in time), by type',
+  labelNames: ['type'],
+  registers: [register],
+});
+
+export const relayQueued = new client.Counter({
+  name: 'signaling_messages_queued_total',
+  help: 'Signaling messages held in the relay queue until their target joins, by type',
+  labelNames: ['type'],
+  registers: [register],
+});
+
+export const rejectedEvents = new client.Counter({
+  name: 'signaling_events_rejected_total',
+  help: 'Inbound Socket.IO events rejected before reaching a handler, by event and error code',
+  labelNames: ['event', 'code'],
+  registers: [register],
+});
+
+// Bridge
+
+export const iceGatheringDuration = new client.Histogram({
+  name: 'bridge_ice_gathering_duration_seconds',
+  help: 'Time from applying the bridge answer until ICE gathering completed',
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 3, 5, 10],
+  registers: [register],
+});
+
+export const ffmpegRestarts = new client.Counter({
+  name: 'bridge_ffmpeg_restarts_total',
+  help: 'FFmpeg restarts, by reason (format-change and exit for the encoder, <output>-exit for relays)',
+  labelNames: ['reason'],
+  registers: [register],
+});
+
+export const ffmpegExits = new client.Counter({
+  name: 'bridge_ffmpeg_exits_total',
+  help: 'FFmpeg process exits by process type and exit code; expected="false" when not stopped by the bridge',
+  labelNames: ['process', 'code', 'expected'],
+  registers: [register],
+});
+
+export const streamsEnded = new client.Counter({
+  name: 'bridge_streams_ended_total',
+  help: 'Bridged streams that ended, by reason (stopped, connect-timeout, no-media, max-duration, ...)',
+  labelNames: ['reason'],
+  registers: [register],
+});
+
+export const streamBitrate = new client.Gauge({
+  name: 'bridge_stream_output_bitrate_kbps',
+  help: 'Encoder output bitrate per stream, from FFmpeg progress',
+  labelNames: ['stream_id'],
+  registers: [register],
+});
+
+export const streamFps = new client.Gauge({
+  name: 'bridge_stream_output_fps',
+  help: 'Encoder output frame rate per stream, from FFmpeg progress',
+  labelNames: ['stream_id'],
+  registers: [register],
+});
+
+// Webhooks
+
+export const webhookDeliveries = new client.Counter({
+  name: 'webhook_deliveries_total',
+  help: 'Webhook delivery attempts by event type and result (delivered, retried, dead-lettered)',
+  labelNames: ['type', 'result'],
+  registers: [register],
+});
+
+/**
+ * Record an FFmpeg process exit
+ */
+export function recordFfmpegExit(processType, code, signal, expected) {
+  ffmpegExits.inc({
+    process: processType,
+    code: code !== null && code !== undefined ? String(code) : (signal || 'unknown'),
+    expected: String(!!expected),
+  });
+}
+
+/**
+ * Forget a stream's per-stream series once it is gone
+ */
+export function removeStreamMetrics(streamId) {
+  streamBitrate.remove({ stream_id: streamId });
+  streamFps.remove({ stream_id: streamId });
+}
+
+/**
+ * Register gauges computed from live state at scrape time
+ */
+export function registerStateMetrics({ io, registry, relayQueue, bridge }) {
+  new client.Gauge({
+    name: 'signaling_connected_sockets',
+    help: 'Connected Socket.IO sockets, by transport',
+    labelNames: ['transport'],
+    registers: [register],
+    collect() {
+      this.reset();
+      for (const socket of io.of('/').sockets.values()) {
+        this.inc({ transport: socket.conn.transport.name });
+      }
+    },
+  });
+
+  new client.Gauge({
+    name: 'signaling_rooms',
+    help: 'Rooms with at least one member on this node',
+    registers: [register],
+    collect() {
+      this.set(registry.getRoomIds().length);
+    },
+  });
+
+  new client.Gauge({
+    name: 'signaling_room_users',
+    help: 'Room members on this node, by role (other for user types that are not auth roles)',
+    labelNames: ['role'],
+    registers: [register],
+    collect() {
+      this.reset();
+      for (const roomId of registry.getRoomIds()) {
+        for (const member of registry.getRoomMembers(roomId)) {
+          // userType is client-chosen without auth, so it is kept off the label
+          this.inc({ role: ROLES.includes(member.userType) ? member.userType : 'other' });
+        }
+      }
+    },
+  });
+
+  new client.Gauge({
+    name: 'signaling_queued_messages',
+    help: 'Signaling messages waiting in the relay queue',
+    registers: [register],
+    collect() {
+      this.set(relayQueue.getSize());
+    },
+  });
+
+  new client.Gauge({
+    name: 'bridge_streams',
+    help: 'Bridged streams, by peer connection state',
+    labelNames: ['state'],
+    registers: [register],
+    collect() {
+      this.reset();
+      for (const [state, count] of Object.entries(bridge.countStreamsByState())) {
+        this.set({ state }, count);
+      }
+    },
+  });
+}
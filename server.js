@@ -1,12 +1,37 @@
 import express from 'express';
+import fs from 'fs';
+import path from 'path';
 import { createServer } from 'http';
+import { randomUUID } from 'crypto';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import bridge from './bridge/WebRTCToRTMPBridge.js';
+import streamKeys from './bridge/StreamKeyRegistry.js';
+import sfu from './sfu/RoomSFU.js';
+import registry from './signaling/RoomRegistry.js';
+import relayQueue from './signaling/RelayQueue.js';
+import chat from './signaling/RoomChat.js';
+import webhooks from './webhooks/WebhookDispatcher.js';
+import stateStore, { NODE_ID } from './state/StateStore.js';
+import { validateEvent, EVENT_SCHEMAS } from './signaling/validation.js';
+import { createRateLimiter } from './signaling/rateLimit.js';
+import { register as metricsRegister, registerStateMetrics, relayedMessages, relayMisses, relayQueued, rejectedEvents } from './metrics/metrics.js';
+import recordingStore from './bridge/RecordingStore.js';
+import { HLS_FILE_PATTERN, HLS_STREAM_ID_PATTERN, getHlsDirectory } from './bridge/HLSOutput.js';
+import { getIceServerConfig } from './bridge/iceServers.js';
+import authenticator, { getBearerToken, isTokenEqual } from './auth/Authenticator.js';
+import { SDP_FRAG_CONTENT_TYPE, parseSdpFrag, getIceCredentials, buildSdpFrag } from './bridge/sdpFrag.js';
+import { createLogger } from './logging/logger.js';
 
 dotenv.config();
 
+const log = createLogger('server');
+const signalingLog = createLogger('signaling');
+const bridgeLog = createLogger('bridge');
+const recordingsLog = createLogger('recordings');
+const adminLog = createLogger('admin');
+
 const app = express();
 const httpServer = createServer(app);
 
@@ -19,11 +44,14 @@ const allowedOrigins = process.env.CLIENT_ORIGIN
 app.use(cors({
   origin: allowedOrigins,
   credentials: true,
-  methods: ["GET", "POST", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"]
+  methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
+  allowedHeaders: ["Content-Type", "Authorization", "If-Match"],
+  exposedHeaders: ["Location", "ETag"]
 }));
 
 app.use(express.json());
+// Raw SDP bodies for WHIP (offers and trickle ICE fragments)
+app.use(express.text({ type: ['application/sdp', SDP_FRAG_CONTENT_TYPE] }));
 
 // Test endpoint to verify server is accessible
 app.get('/test', (req, res) => {
@@ -51,221 +79,695 @@ const io = new Server(httpServer, {
   upgradeTimeout: 10000
 });
 
-// Store active rooms and users
-const rooms = new Map();
-const users = new Map();
+// Authenticate every Socket.IO connection (no-op when AUTH_PROVIDER=none)
+io.use(authenticator.socketMiddleware());
+
+// Set once shutdown starts: new joins and bridge offers are refused while
+// live sessions are wound down (see shutdown())
+let draining = false;
+
+
+/**
+ * Ack a Socket.IO event if the client asked for an ack. Clients control the
+ * arguments, so anything that is not a function is ignored.
+ *
+ * Returns whether the ack was sent.
+ */
+function ack(callback, response) {
+  if (typeof callback !== 'function') {
+    return false;
+  }
+  callback(response);
+  return true;
+}
+
+/**
+ * Reject a Socket.IO event: ack with the error if the client asked for an
+ * ack, otherwise send it as a 'signaling-error' event
+ */
+function rejectEvent(socket, event, args, error, code) {
+  // Floods are rejected many times per second; keep them out of the default log
+  signalingLog[code === 'RATE_LIMITED' ? 'debug' : 'warn']({ socketId: socket.id, event, code }, `Rejected event: ${error}`);
+  rejectedEvents.inc({ event: EVENT_SCHEMAS[event] ? event : 'unknown', code });
+  const messageId = typeof args[0]?.messageId === 'string' ? args[0].messageId : undefined;
+  if (!ack(args[args.length - 1], { status: 'rejected', error, code, messageId })) {
+    socket.emit('signaling-error', { event, error, code, messageId });
+  }
+}
+
+/**
+ * Error code for a handler that failed: STATE_UNAVAILABLE while the state
+ * store can't be reached (the client should retry), INTERNAL_ERROR otherwise
+ */
+function failureCode() {
+  return stateStore.isAvailable() ? 'INTERNAL_ERROR' : 'STATE_UNAVAILABLE';
+}
+
+/**
+ * Relay a signaling message to one user in a room
+ *
+ * The message goes out with the sender's userId and a messageId (the
+ * client's, or a generated one) so receivers can drop duplicates. When the
+ * target is not connected it is held in the relay queue, if enabled, until
+ * the target joins. The sender is acked with { status, messageId }, status
+ * being 'delivered', 'queued' or 'not-found'; if the state store can't be
+ * reached the event is rejected with STATE_UNAVAILABLE.
+ */
+async function relayToUser(socket, sender, event, { roomId, targetUserId, messageId }, payload, callback) {
+  const message = { ...payload, senderId: sender.userId, messageId: messageId || randomUUID() };
+
+  let target;
+  try {
+    target = await findRoomMember(roomId, targetUserId);
+  } catch (error) {
+    signalingLog.error({ err: error, roomId, targetUserId, event }, 'State store lookup failed');
+    return rejectEvent(socket, event, [message, callback], 'Room state is unavailable, retry later', 'STATE_UNAVAILABLE');
+  }
+
+  let status;
+  if (target && !target.disconnectedAt) {
+    io.to(target.socketId).emit(event, message);
+    relayedMessages.inc({ type: event });
+    status = 'delivered';
+  } else if (relayQueue.enqueue(roomId, targetUserId, { event, message, senderSocketId: socket.id })) {
+    relayQueued.inc({ type: event });
+    status = 'queued';
+  } else {
+    relayMisses.inc({ type: event });
+    status = 'not-found';
+  }
+
+  const fields = { roomId, userId: sender.userId, targetUserId, event, messageId: message.messageId, status };
+  if (status === 'not-found') {
+    signalingLog.warn(fields, 'Target user not found');
+  } else {
+    signalingLog.debug(fields, 'Relayed message');
+  }
+
+  ack(callback, { status, messageId: message.messageId });
+}
+
+/**
+ * Deliver messages queued for a user who just joined or resumed
+ */
+function deliverQueued(roomId, userId, socketId) {
+  for (const { event, message } of relayQueue.take(roomId, userId)) {
+    io.to(socketId).emit(event, message);
+    relayedMessages.inc({ type: event });
+  }
+}
+
+/**
+ * Find a room member on any node: sockets connected here first, then the
+ * shared state store
+ */
+async function findRoomMember(roomId, userId) {
+  return registry.getMember(roomId, userId) || stateStore.getMember(roomId, userId);
+}
+
+// A user connected here resumed their slot through another node
+io.on('member-resumed', ({ roomId, userId, socketId }) => {
+  if (registry.handOff(roomId, userId, socketId)) {
+    signalingLog.info({ roomId, userId, socketId }, 'User resumed on another node, dropping local socket');
+  }
+});
+
+// Another node took over a userId that was connected here
+io.on('member-replaced', ({ roomId, userId, socketId }) => {
+  if (registry.evict(roomId, userId, socketId)) {
+    signalingLog.info({ roomId, userId, socketId }, 'User moved to another node, dropping local socket');
+    sfu.leave(roomId, socketId);
+  }
+});
+
+/**
+ * Kick a member connected to this node: drop it from the room, tell the
+ * socket why and disconnect it. Returns false if nothing here matched.
+ */
+function kickLocalMember(roomId, userId, socketId, reason) {
+  const member = registry.evict(roomId, userId, socketId);
+  if (member) {
+    sfu.leave(roomId, socketId);
+    io.to(roomId).except(socketId).emit('user-left', { userId });
+  }
+
+  const socket = io.of('/').sockets.get(socketId);
+  if (socket) {
+    socket.emit('kicked', { roomId, reason });
+    socket.disconnect(true);
+  }
+  return !!(member || socket);
+}
+
+/**
+ * Remove every member of a room connected to this node
+ */
+function closeLocalRoom(roomId) {
+  for (const member of registry.getRoomMembers(roomId)) {
+    registry.evict(roomId, member.userId, member.socketId);
+    sfu.leave(roomId, member.socketId);
+  }
+  relayQueue.dropRoom(roomId);
+}
+
+// Admin actions on members and rooms connected to another node
+io.on('member-kicked', ({ roomId, userId, socketId, reason }) => {
+  kickLocalMember(roomId, userId, socketId, reason);
+});
+
+io.on('room-closed', ({ roomId }) => {
+  closeLocalRoom(roomId);
+});
+
+// A user joined on another node: hand over messages queued here for them
+io.on('member-joined', ({ roomId, userId, socketId }) => {
+  deliverQueued(roomId, userId, socketId);
+});
+
+// A queued message's target never joined: let the sender know
+relayQueue.on('expired', ({ roomId, targetUserId, event, message, senderSocketId }) => {
+  relayMisses.inc({ type: event });
+  signalingLog.debug({ roomId, targetUserId, event, messageId: message.messageId }, 'Queued message expired');
+  io.to(senderSocketId).emit('relay-expired', { roomId, targetUserId, event, messageId: message.messageId });
+});
+
+// Room chat: messages, deletions and aggregated reactions go to the whole room
+chat.on('message', (message) => {
+  io.to(message.roomId).emit('chat-message', message);
+});
+
+chat.on('message-deleted', (message, deletedBy) => {
+  signalingLog.info({ roomId: message.roomId, messageId: message.messageId, userId: deletedBy.userId }, 'Chat message deleted');
+  io.to(message.roomId).emit('chat-message-deleted', {
+    roomId: message.roomId,
+    messageId: message.messageId,
+    deletedBy: deletedBy.userId,
+  });
+});
+
+chat.on('reactions', ({ roomId, reactions }) => {
+  io.to(roomId).emit('reactions', { roomId, reactions, windowMs: chat.reactionWindowMs });
+});
+
+// A disconnected user did not resume within the grace window
+registry.on('member-expired', (member) => {
+  signalingLog.info({ roomId: member.roomId, userId: member.userId, socketId: member.socketId }, 'Reconnect grace period expired');
+  sfu.leave(member.roomId, member.socketId);
+  io.to(member.roomId).emit('user-left', { userId: member.userId });
+});
+
+// Lifecycle webhooks. Room events are reported by the node whose state store
+// write created or emptied the room, so each is sent once per cluster.
+registry.on('room-created', (roomId) => {
+  webhooks.dispatch('room.created', { roomId });
+});
+
+registry.on('room-emptied', (roomId) => {
+  webhooks.dispatch('room.emptied', { roomId });
+});
+
+registry.on('member-added', ({ roomId, userId, userType }) => {
+  if (userType === 'broadcaster') {
+    webhooks.dispatch('broadcaster.joined', { roomId, userId });
+  }
+});
+
+registry.on('member-removed', ({ roomId, userId, userType }) => {
+  if (userType === 'broadcaster') {
+    webhooks.dispatch('broadcaster.left', { roomId, userId });
+  }
+});
+
+bridge.on('stream-connected', (streamId) => {
+  webhooks.dispatch('stream.connected', { streamId });
+});
+
+bridge.on('stream-cleaned', (streamId, reason) => {
+  webhooks.dispatch('stream.ended', { streamId, reason });
+});
+
+bridge.on('ffmpeg-failed', (streamId, failure) => {
+  webhooks.dispatch('ffmpeg.failed', { streamId, ...failure });
+});
 
 // Socket.io connection handling
 io.on('connection', (socket) => {
-  console.log(`✅ User connected: ${socket.id}`);
-  console.log(`   Transport: ${socket.conn.transport.name}`);
-  console.log(`   Remote address: ${socket.handshake.address}`);
-  console.log(`   Headers:`, socket.handshake.headers);
-  console.log(`   Query:`, socket.handshake.query);
+  signalingLog.info({
+    socketId: socket.id,
+    transport: socket.conn.transport.name,
+    address: socket.handshake.address,
+    userAgent: socket.handshake.headers['user-agent'],
+  }, 'User connected');
+  // Cookies, Authorization and token query parameters are redacted
+  signalingLog.debug({ socketId: socket.id, headers: socket.handshake.headers, query: socket.handshake.query }, 'Handshake');
   
   // Handle connection errors
   socket.on('error', (error) => {
-    console.error(`❌ Socket error for ${socket.id}:`, error);
+    signalingLog.error({ err: error, socketId: socket.id }, 'Socket error');
+  });
+
+  // Rate limit and validate every event, then enforce role permissions and
+  // room membership
+  const allowEvent = createRateLimiter();
+  socket.use((packet, next) => {
+    // Handlers take (payload, ack). Anything after the payload that is not
+    // the ack function is dropped, so handlers never see a fake ack.
+    const callback = packet.length > 2 ? packet[packet.length - 1] : null;
+    packet.splice(2, Infinity, ...(typeof callback === 'function' ? [callback] : []));
+    const [event, ...args] = packet;
+
+    if (!allowEvent(event)) {
+      return rejectEvent(socket, event, args, `Too many '${event}' events`, 'RATE_LIMITED');
+    }
+
+    const invalid = validateEvent(event, args[0]);
+    if (invalid) {
+      return rejectEvent(socket, event, args, invalid.error, invalid.code);
+    }
+
+    const principal = socket.data.principal;
+    if (principal && !authenticator.canSendEvent(principal, event)) {
+      return rejectEvent(socket, event, args, `Role ${principal.role} cannot send '${event}'`, 'FORBIDDEN');
+    }
+
+    if (draining && event === 'join-room') {
+      return rejectEvent(socket, event, args, 'Server is shutting down, reconnect to join', 'SERVER_DRAINING');
+    }
+
+    const { roomId } = args[0];
+    if (event !== 'join-room' && roomId && !socket.rooms.has(roomId)) {
+      return rejectEvent(socket, event, args, `Not a member of room ${roomId}`, 'NOT_IN_ROOM');
+    }
+
+    next();
   });
 
-  // Log any incoming events for debugging
+  // Log incoming events for debugging (field names only, payloads carry SDPs)
   socket.onAny((eventName, ...args) => {
-    console.log(`📨 Received event '${eventName}' from ${socket.id}:`, args.length > 0 ? args[0] : 'no data');
+    const payload = args[0] && typeof args[0] === 'object' ? args[0] : {};
+    signalingLog.debug({
+      socketId: socket.id,
+      event: eventName,
+      roomId: payload.roomId,
+      targetUserId: payload.targetUserId,
+      fields: Object.keys(payload),
+    }, 'Received event');
   });
 
   // Join a room (stream room)
-  socket.on('join-room', (data, callback) => {
+  // Pass `mode: 'sfu'` to have the server act as the WebRTC peer for everyone
+  // in the room instead of relaying peer-to-peer (mesh) signaling
+  socket.on('join-room', async (data, callback) => {
     try {
-      const { roomId, userId, userType } = data;
+      const { roomId, mode } = data;
+      let { userId, userType } = data;
+
+      // With authentication, identity comes from the token, not the payload
+      const principal = socket.data.principal;
+      if (principal) {
+        if (!authenticator.canJoinRoom(principal, roomId)) {
+          ack(callback, { error: `Not allowed to join room ${roomId}`, code: 'FORBIDDEN' });
+          return;
+        }
+        userId = principal.userId;
+        userType = principal.role === 'admin' ? (userType || 'admin') : principal.role;
+      }
       
       if (!roomId || !userId || !userType) {
-        console.error('❌ Invalid join-room data:', data);
-        if (callback) callback({ error: 'Missing required fields' });
-        return;
+        return rejectEvent(socket, 'join-room', [callback], 'userId and userType are required', 'INVALID_PAYLOAD');
       }
 
-      console.log(`📥 Received join-room request:`, { roomId, userId, userType });
-      
-      socket.join(roomId);
-      users.set(socket.id, { roomId, userId, userType });
-      
-      if (!rooms.has(roomId)) {
-        rooms.set(roomId, []);
+      signalingLog.debug({ socketId: socket.id, roomId, userId, userType, mode }, 'Received join-room request');
+
+      const emitToSocket = (event, payload) => socket.emit(event, payload);
+
+      // The first participant picks the room mode; later joiners follow it.
+      // SFU peers live on the node that created the room, so SFU rooms can
+      // only be joined (or resumed) there.
+      const { mode: roomMode, nodeId: modeNodeId, url: modeNodeUrl } = await stateStore.claimRoomMode(roomId, mode === 'sfu' ? 'sfu' : 'mesh');
+      if (roomMode === 'sfu' && modeNodeId !== NODE_ID) {
+        ack(callback, { error: `Room ${roomId} is an SFU room served by node ${modeNodeId}`, code: 'SFU_ROOM_ON_OTHER_NODE', node: modeNodeId, url: modeNodeUrl });
+        return;
       }
-      
-      const room = rooms.get(roomId);
-      room.push({ socketId: socket.id, userId, userType });
-      rooms.set(roomId, room);
 
-      console.log(`✅ User ${userId} (${userType}) joined room ${roomId}`);
-      console.log(`   Room now has ${room.length} user(s)`);
-      
-      // Notify others in the room
-      socket.to(roomId).emit('user-joined', { userId, userType });
+      // Resuming within the reconnect grace window keeps the room slot (and
+      // SFU peer) and tells the room 'user-reconnected' instead of left/joined
+      const resumed = data.resumeToken
+        ? await registry.resume(roomId, socket.id, userId, data.resumeToken)
+        : null;
+
+      let member;
+      if (resumed) {
+        member = resumed.member;
+        socket.join(roomId);
+        if (resumed.previousNodeId) {
+          io.serverSideEmit('member-resumed', { roomId, userId, socketId: resumed.previousSocketId });
+        } else {
+          sfu.rebind(roomId, resumed.previousSocketId, socket.id, emitToSocket);
+        }
+
+        // The old socket may still look connected if it dropped silently
+        io.in(resumed.previousSocketId).socketsLeave(roomId);
+        io.to(resumed.previousSocketId).emit('session-replaced', { roomId, userId });
+
+        signalingLog.info({ socketId: socket.id, roomId, userId, previousSocketId: resumed.previousSocketId }, 'User resumed');
+        socket.to(roomId).emit('user-reconnected', { userId, userType: member.userType });
+      } else {
+        if (mode === 'sfu' && roomMode !== 'sfu') {
+          ack(callback, { error: 'Room is already running in mesh mode', code: 'MODE_CONFLICT' });
+          return;
+        }
+
+        if (roomMode === 'sfu') {
+          await sfu.join(roomId, socket.id, {
+            userId,
+            userType,
+            emit: emitToSocket,
+          });
+        }
+        
+        // The userId may be connected to another node
+        const remoteMember = stateStore.isShared ? await stateStore.getMember(roomId, userId) : null;
+
+        socket.join(roomId);
+        const joined = registry.join(roomId, socket.id, { userId, userType });
+        member = joined.member;
+
+        let { replaced } = joined;
+        if (!replaced && remoteMember && remoteMember.nodeId !== NODE_ID) {
+          replaced = remoteMember;
+          io.serverSideEmit('member-replaced', { roomId, userId, socketId: remoteMember.socketId });
+        }
+
+        // A userId is unique per room: the new socket takes over from the stale one
+        if (replaced) {
+          signalingLog.info({ socketId: socket.id, roomId, userId, replacedSocketId: replaced.socketId }, 'User rejoined, replacing previous socket');
+          sfu.leave(roomId, replaced.socketId);
+          io.in(replaced.socketId).socketsLeave(roomId);
+          io.to(replaced.socketId).emit('session-replaced', { roomId, userId });
+          socket.to(roomId).emit('user-left', { userId });
+        }
+
+        signalingLog.info({
+          socketId: socket.id,
+          roomId,
+          userId,
+          userType,
+          mode: roomMode,
+          roomSize: await stateStore.getRoomSize(roomId),
+        }, 'User joined room');
+        
+        // Notify others in the room
+        socket.to(roomId).emit('user-joined', { userId, userType });
+      }
       
       // Send list of existing users in room
-      const existingUsers = room.filter(u => u.socketId !== socket.id);
+      const existingUsers = (await stateStore.getRoomMembers(roomId))
+        .filter(u => u.socketId !== socket.id)
+        .map(({ socketId, userId, userType }) => ({ socketId, userId, userType }));
       socket.emit('room-users', existingUsers);
+      socket.emit('chat-history', { roomId, messages: await chat.getHistory(roomId) });
       
-      if (callback) callback({ success: true, roomId, userId });
+      ack(callback, {
+        success: true,
+        roomId,
+        userId,
+        mode: roomMode,
+        resumeToken: member.resumeToken,
+        resumed: !!resumed,
+      });
+
+      // Signaling sent to this user before they were in the room
+      deliverQueued(roomId, userId, socket.id);
+      if (stateStore.isShared) {
+        io.serverSideEmit('member-joined', { roomId, userId, socketId: socket.id });
+      }
     } catch (error) {
-      console.error('❌ Error in join-room handler:', error);
-      if (callback) callback({ error: error.message });
+      signalingLog.error({ err: error, socketId: socket.id, roomId: data.roomId }, 'Error in join-room handler');
+      rejectEvent(socket, 'join-room', [data, callback], error.message, failureCode());
     }
   });
 
   // WebRTC signaling: Offer
-  socket.on('offer', ({ offer, targetUserId, roomId }) => {
-    const sender = users.get(socket.id);
+  socket.on('offer', async (data, callback) => {
+    const sender = registry.getMembership(socket.id, data.roomId);
     if (!sender) {
-      console.error('❌ Offer received from unknown user:', socket.id);
-      return;
+      return rejectEvent(socket, 'offer', [callback], `Not a member of room ${data.roomId}`, 'NOT_IN_ROOM');
     }
 
-    const targetUser = Array.from(users.entries())
-      .find(([_, user]) => user.userId === targetUserId && user.roomId === roomId);
-    
-    if (targetUser) {
-      console.log(`📤 Relaying offer from ${sender.userId} to ${targetUserId} in room ${roomId}`);
-      io.to(targetUser[0]).emit('offer', {
-        offer,
-        senderId: sender.userId
-      });
-    } else {
-      console.warn(`⚠️ Target user ${targetUserId} not found in room ${roomId}`);
-    }
+    await relayToUser(socket, sender, 'offer', data, { offer: data.offer }, callback);
   });
 
   // WebRTC signaling: Answer
-  socket.on('answer', ({ answer, targetUserId, roomId }) => {
-    const sender = users.get(socket.id);
+  socket.on('answer', async (data, callback) => {
+    const sender = registry.getMembership(socket.id, data.roomId);
     if (!sender) {
-      console.error('❌ Answer received from unknown user:', socket.id);
-      return;
+      return rejectEvent(socket, 'answer', [callback], `Not a member of room ${data.roomId}`, 'NOT_IN_ROOM');
     }
 
-    const targetUser = Array.from(users.entries())
-      .find(([_, user]) => user.userId === targetUserId && user.roomId === roomId);
-    
-    if (targetUser) {
-      console.log(`📤 Relaying answer from ${sender.userId} to ${targetUserId} in room ${roomId}`);
-      io.to(targetUser[0]).emit('answer', {
-        answer,
-        senderId: sender.userId
-      });
-    } else {
-      console.warn(`⚠️ Target user ${targetUserId} not found in room ${roomId}`);
-    }
+    await relayToUser(socket, sender, 'answer', data, { answer: data.answer }, callback);
   });
 
   // WebRTC signaling: ICE Candidate
-  socket.on('ice-candidate', ({ candidate, targetUserId, roomId }) => {
-    const sender = users.get(socket.id);
+  socket.on('ice-candidate', async (data, callback) => {
+    const sender = registry.getMembership(socket.id, data.roomId);
     if (!sender) {
-      console.error('❌ ICE candidate received from unknown user:', socket.id);
-      return;
+      return rejectEvent(socket, 'ice-candidate', [callback], `Not a member of room ${data.roomId}`, 'NOT_IN_ROOM');
     }
 
-    const targetUser = Array.from(users.entries())
-      .find(([_, user]) => user.userId === targetUserId && user.roomId === roomId);
-    
-    if (targetUser) {
-      // Log ICE candidate type for debugging (host, srflx, relay, etc.)
-      const candidateType = candidate.candidate?.split(' ')[7] || 'unknown';
-      const candidateProtocol = candidate.candidate?.includes(' UDP ') ? 'UDP' : 
-                                candidate.candidate?.includes(' TCP ') ? 'TCP' : 'unknown';
-      
-      console.log(`📡 Relaying ICE candidate (${candidateType}/${candidateProtocol}) from ${sender.userId} to ${targetUserId}`);
-      
-      // Relay immediately without delay for real-time connectivity
-      io.to(targetUser[0]).emit('ice-candidate', {
-        candidate,
-        senderId: sender.userId
-      });
-    } else {
-      console.warn(`⚠️ Target user ${targetUserId} not found in room ${roomId} for ICE candidate`);
+    // Log ICE candidate type for debugging (host, srflx, relay, etc.)
+    const { candidate } = data;
+    const candidateType = candidate.candidate.split(' ')[7] || 'unknown';
+    const candidateProtocol = candidate.candidate.includes(' UDP ') ? 'UDP' : 
+                              candidate.candidate.includes(' TCP ') ? 'TCP' : 'unknown';
+    signalingLog.trace({ roomId: data.roomId, userId: sender.userId, candidateType, candidateProtocol }, 'ICE candidate');
+
+    // Relay immediately without delay for real-time connectivity
+    await relayToUser(socket, sender, 'ice-candidate', data, { candidate }, callback);
+  });
+
+  // SFU signaling: broadcaster publishes its tracks to the server
+  socket.on('sfu-publish', async ({ roomId, offer }, callback) => {
+    try {
+      const answer = await sfu.handlePublishOffer(roomId, socket.id, offer);
+      if (!ack(callback, { success: true, answer })) {
+        socket.emit('sfu-answer', { roomId, answer });
+      }
+    } catch (error) {
+      signalingLog.error({ err: error, socketId: socket.id, roomId }, 'Error handling sfu-publish');
+      ack(callback, { error: error.message, code: 'SFU_ERROR' });
+    }
+  });
+
+  // SFU signaling: viewer answers a server offer
+  socket.on('sfu-answer', async ({ roomId, answer }, callback) => {
+    try {
+      await sfu.handleAnswer(roomId, socket.id, answer);
+      ack(callback, { success: true });
+    } catch (error) {
+      signalingLog.error({ err: error, socketId: socket.id, roomId }, 'Error handling sfu-answer');
+      ack(callback, { error: error.message, code: 'SFU_ERROR' });
+    }
+  });
+
+  // SFU signaling: ICE candidate for the participant's server-side peer
+  socket.on('sfu-ice-candidate', async ({ roomId, candidate }, callback) => {
+    // End of candidates: nothing to add to the server-side peer
+    if (!candidate) {
+      if (!sfu.getPeer(roomId, socket.id)) {
+        return rejectEvent(socket, 'sfu-ice-candidate', [callback], 'No SFU peer in this room', 'SFU_ERROR');
+      }
+      return ack(callback, { success: true });
+    }
+    try {
+      if (!(await sfu.handleIceCandidate(roomId, socket.id, candidate))) {
+        return rejectEvent(socket, 'sfu-ice-candidate', [callback], 'ICE candidate not added (no SFU peer in this room, or invalid candidate)', 'SFU_ERROR');
+      }
+      ack(callback, { success: true });
+    } catch (error) {
+      rejectEvent(socket, 'sfu-ice-candidate', [callback], error.message, 'SFU_ERROR');
     }
   });
 
   // Handle stream type (camera or screen share)
-  socket.on('stream-type', ({ streamType, roomId }) => {
+  socket.on('stream-type', ({ streamType, roomId, messageId = randomUUID() }, callback) => {
+    const sender = registry.getMembership(socket.id, roomId);
+    if (!sender) {
+      return rejectEvent(socket, 'stream-type', [callback], `Not a member of room ${roomId}`, 'NOT_IN_ROOM');
+    }
+
+    relayedMessages.inc({ type: 'stream-type' });
     socket.to(roomId).emit('stream-type-changed', {
       streamType,
-      userId: users.get(socket.id).userId
+      userId: sender.userId,
+      messageId,
     });
+    ack(callback, { status: 'delivered', messageId });
   });
 
   // Handle peer connection state changes (for broadcaster to detect viewer failures)
-  socket.on('peer-connection-state', ({ userId, targetUserId, roomId, connectionState, iceConnectionState }) => {
-    const sender = users.get(socket.id);
+  socket.on('peer-connection-state', async (data, callback) => {
+    const sender = registry.getMembership(socket.id, data.roomId);
     if (!sender) {
-      console.error('❌ Peer connection state received from unknown user:', socket.id);
-      return;
+      return rejectEvent(socket, 'peer-connection-state', [callback], `Not a member of room ${data.roomId}`, 'NOT_IN_ROOM');
     }
 
-    // Find target user to relay the state change
-    const targetUser = Array.from(users.entries())
-      .find(([_, user]) => user.userId === targetUserId && user.roomId === roomId);
-    
-    if (targetUser) {
-      console.log(`📊 Relaying peer connection state: ${sender.userId} -> ${targetUserId}: ${connectionState} (ICE: ${iceConnectionState})`);
-      io.to(targetUser[0]).emit('peer-connection-state', {
-        userId: sender.userId,
-        targetUserId: targetUserId,
-        connectionState,
-        iceConnectionState,
-      });
+    const { targetUserId, connectionState, iceConnectionState } = data;
+    await relayToUser(socket, sender, 'peer-connection-state', data, {
+      userId: sender.userId,
+      targetUserId,
+      connectionState,
+      iceConnectionState,
+    }, callback);
+  });
+
+  // Room chat: the server stamps id, time and sender identity
+  socket.on('chat-message', async ({ roomId, text }, callback) => {
+    const sender = registry.getMembership(socket.id, roomId);
+    if (!sender) {
+      return rejectEvent(socket, 'chat-message', [callback], `Not a member of room ${roomId}`, 'NOT_IN_ROOM');
+    }
+    if (!text.trim()) {
+      return rejectEvent(socket, 'chat-message', [callback], 'text must not be empty', 'INVALID_PAYLOAD');
+    }
+
+    try {
+      const message = await chat.postMessage(sender, text.trim(), socket.data.principal?.name);
+      ack(callback, { status: 'delivered', messageId: message.messageId, sentAt: message.sentAt });
+    } catch (error) {
+      signalingLog.error({ err: error, socketId: socket.id, roomId }, 'Error posting chat message');
+      rejectEvent(socket, 'chat-message', [callback], error.message, failureCode());
+    }
+  });
+
+  // Reactions are counted and broadcast in aggregated bursts
+  socket.on('reaction', ({ roomId, emoji }, callback) => {
+    if (!registry.getMembership(socket.id, roomId)) {
+      return rejectEvent(socket, 'reaction', [callback], `Not a member of room ${roomId}`, 'NOT_IN_ROOM');
+    }
+    if (!chat.addReaction(roomId, emoji)) {
+      return rejectEvent(socket, 'reaction', [callback], 'Too many different reactions', 'RATE_LIMITED');
+    }
+    ack(callback, { status: 'queued' });
+  });
+
+  // Moderation: authors delete their own messages, broadcasters and admins any
+  socket.on('delete-message', async ({ roomId, messageId }, callback) => {
+    const member = registry.getMembership(socket.id, roomId);
+    if (!member) {
+      return rejectEvent(socket, 'delete-message', [callback], `Not a member of room ${roomId}`, 'NOT_IN_ROOM');
+    }
+
+    try {
+      const message = await chat.findMessage(roomId, messageId);
+      if (!message) {
+        return rejectEvent(socket, 'delete-message', [callback], `Message ${messageId} not found`, 'NOT_FOUND');
+      }
+      if (!chat.canDelete(member, message)) {
+        return rejectEvent(socket, 'delete-message', [callback], 'Only the author or a moderator can delete this message', 'FORBIDDEN');
+      }
+
+      await chat.deleteMessage(roomId, messageId, { userId: member.userId, userType: member.userType });
+      ack(callback, { status: 'delivered', messageId });
+    } catch (error) {
+      signalingLog.error({ err: error, socketId: socket.id, roomId }, 'Error deleting chat message');
+      rejectEvent(socket, 'delete-message', [callback], error.message, failureCode());
+    }
+  });
+
+  // Custom application data, to one user (targetUserId) or the whole room
+  socket.on('room-data', async (data, callback) => {
+    const sender = registry.getMembership(socket.id, data.roomId);
+    if (!sender) {
+      return rejectEvent(socket, 'room-data', [callback], `Not a member of room ${data.roomId}`, 'NOT_IN_ROOM');
+    }
+
+    if (data.targetUserId) {
+      return relayToUser(socket, sender, 'room-data', data, { roomId: data.roomId, data: data.data }, callback);
     }
+
+    const messageId = data.messageId || randomUUID();
+    relayedMessages.inc({ type: 'room-data' });
+    socket.to(data.roomId).emit('room-data', { roomId: data.roomId, data: data.data, senderId: sender.userId, messageId });
+    ack(callback, { status: 'delivered', messageId });
   });
 
   // Leave room
   socket.on('leave-room', ({ roomId }) => {
     socket.leave(roomId);
-    const user = users.get(socket.id);
+    sfu.leave(roomId, socket.id);
+    const user = registry.leave(roomId, socket.id);
     
     if (user) {
-      const room = rooms.get(roomId);
-      if (room) {
-        const index = room.findIndex(u => u.socketId === socket.id);
-        if (index > -1) {
-          room.splice(index, 1);
-        }
-      }
-      
       socket.to(roomId).emit('user-left', { userId: user.userId });
-      users.delete(socket.id);
     }
     
-    console.log(`User left room ${roomId}`);
+    signalingLog.info({ socketId: socket.id, roomId, userId: user?.userId }, 'User left room');
   });
 
   // Disconnect handling
-  socket.on('disconnect', () => {
-    const user = users.get(socket.id);
-    if (user) {
-      const room = rooms.get(user.roomId);
-      if (room) {
-        const index = room.findIndex(u => u.socketId === socket.id);
-        if (index > -1) {
-          room.splice(index, 1);
-               }
+  socket.on('disconnect', (reason) => {
+    // Memberships are held for the reconnect grace window (see 'member-expired'),
+    // unless the server itself disconnected the socket (e.g. a kick)
+    const graceful = registry.gracePeriodMs > 0 && reason !== 'server namespace disconnect';
+    const members = graceful ? registry.disconnect(socket.id) : registry.leaveAll(socket.id);
+    for (const user of members) {
+      if (!graceful) {
+        sfu.leave(user.roomId, socket.id);
         socket.to(user.roomId).emit('user-left', { userId: user.userId });
       }
-      users.delete(socket.id);
     }
-    console.log(`User disconnected: ${socket.id}`);
+    signalingLog.info({ socketId: socket.id, reason }, 'User disconnected');
   });
 });
 
 // Health check endpoint (moved after io is defined)
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'healthy',
+// Answers 503 while draining so load balancers stop sending new clients here
+app.get('/health', async (req, res) => {
+  let rooms;
+  try {
+    rooms = await stateStore.getRoomIds();
+  } catch (error) {
+    log.error({ err: error }, 'Health check could not reach the state store');
+    return res.status(503).json({
+      status: 'unavailable',
+      node: NODE_ID,
+      error: 'State store unavailable'
+    });
+  }
+
+  res.status(draining ? 503 : 200).json({ 
+    status: draining ? 'draining' : 'healthy',
+    node: NODE_ID,
     activeConnections: io.engine.clientsCount || 0,
-    rooms: Array.from(rooms.keys())
+    rooms
   });
 });
 
+// Gauges read at scrape time from this node's sockets, rooms and streams
+registerStateMetrics({ io, registry, relayQueue, bridge });
+
+/**
+ * Prometheus metrics
+ * GET /metrics
+ *
+ * Protected with `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set.
+ */
+app.get('/metrics', async (req, res) => {
+  if (process.env.METRICS_TOKEN && !isTokenEqual(getBearerToken(req.get('Authorization')), process.env.METRICS_TOKEN)) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+
+  try {
+    res.set('Content-Type', metricsRegister.contentType);
+    res.send(await metricsRegister.metrics());
+  } catch (error) {
+    log.error({ err: error }, 'Error collecting metrics');
+    res.status(500).json({ error: error.message });
+  }
+});
+
 const PORT = process.env.PORT || 3001;
 const HOST = process.env.HOST || '0.0.0.0'; // Listen on all network interfaces
 
@@ -282,43 +784,207 @@ app.get('/socket.io/', (req, res) => {
 // WebRTC to RTMP Bridge Endpoints
 // ============================================
 
+// Route guards (no-ops when AUTH_PROVIDER=none)
+const requireStreamPublisher = authenticator.requireHttp({ roles: ['broadcaster', 'admin'], streamParam: 'streamId' });
+const requireStreamAccess = authenticator.requireHttp({ streamParam: 'streamId' });
+const requireAdmin = authenticator.requireHttp({ roles: ['admin'] });
+const requireAuthenticated = authenticator.requireHttp();
+
 /**
- * Handle WebRTC offer and create answer
- * POST /webrtc-bridge/:streamId/offer
+ * Refuse new bridge sessions while the server is shutting down
+ */
+function rejectWhileDraining(req, res, next) {
+  if (!draining) {
+    return next();
+  }
+  res.status(503).set('Retry-After', '5').json({
+    error: 'Server is shutting down',
+    code: 'SERVER_DRAINING'
+  });
+}
+
+/**
+ * Send requests for a stream to the node that owns it
+ *
+ * A bridged stream lives on the node that accepted its offer. With a shared
+ * state store, requests landing on another node are redirected (307 keeps
+ * the method and body) to the owner's NODE_URL, or rejected with 421 if the
+ * owner has no NODE_URL configured.
  */
-app.post('/webrtc-bridge/:streamId/offer', async (req, res) => {
+async function routeToStreamOwner(req, res, next) {
+  const { streamId } = req.params;
+  if (!stateStore.isShared || bridge.hasStream(streamId)) {
+    return next();
+  }
+
   try {
-    const { streamId } = req.params;
-    const { streamKey, offer } = req.body;
+    const owner = await stateStore.getStreamOwner(streamId);
+    if (!owner || owner.nodeId === NODE_ID) {
+      return next();
+    }
 
-    if (!streamKey || !offer || !offer.type || !offer.sdp) {
-      return res.status(400).json({
-        error: 'Missing required fields: streamKey, offer (type, sdp)'
+    if (!owner.url) {
+      return res.status(421).json({
+        error: `Stream ${streamId} is served by node ${owner.nodeId}, which has no NODE_URL`,
+        node: owner.nodeId
       });
     }
 
-    console.log(`[Bridge] Received offer for stream: ${streamId}`);
-
-    const result = await bridge.handleOffer(streamId, streamKey, offer);
-
-    res.json({
-      success: true,
-      answer: result.answer,
-      iceCandidates: result.iceCandidates,
-    });
+    bridgeLog.debug({ streamId, method: req.method, path: req.originalUrl, nodeId: owner.nodeId }, 'Redirecting to stream owner');
+    res.redirect(307, new URL(req.originalUrl, owner.url).toString());
   } catch (error) {
-    console.error('[Bridge] Error handling offer:', error);
-    res.status(500).json({
-      error: error.message || 'Failed to handle WebRTC offer'
-    });
+    bridgeLog.error({ err: error, streamId }, 'Error looking up stream owner');
+    res.status(500).json({ error: error.message });
   }
+}
+
+app.use('/webrtc-bridge/:streamId', routeToStreamOwner);
+app.use('/live/:streamId', routeToStreamOwner);
+
+// Record which node serves each bridged stream
+bridge.on('stream-created', (streamId) => {
+  stateStore.setStreamOwner(streamId).catch((error) => {
+    bridgeLog.error({ err: error, streamId }, 'Failed to record stream owner');
+  });
+});
+
+bridge.on('stream-cleaned', (streamId) => {
+  stateStore.removeStreamOwner(streamId).catch((error) => {
+    bridgeLog.error({ err: error, streamId }, 'Failed to clear stream owner');
+  });
 });
 
 /**
- * Handle ICE candidate from client
- * POST /webrtc-bridge/:streamId/ice-candidate
+ * Validate the output options shared by offers and RTP ingests; returns an
+ * error message, or null when they are fine
+ */
+function checkOutputOptions({ destinations, record, hls, profile }) {
+  if (destinations !== undefined && (!Array.isArray(destinations) || destinations.length === 0)) {
+    return 'destinations must be a non-empty array of { id?, url, streamKey? }';
+  }
+  if (record !== undefined && typeof record !== 'boolean') {
+    return 'record must be a boolean';
+  }
+  if (hls !== undefined && typeof hls !== 'boolean') {
+    return 'hls must be a boolean';
+  }
+  if (profile !== undefined && typeof profile !== 'string') {
+    return 'profile must be the name of an encoding profile';
+  }
+  return null;
+}
+
+/**
+ * Handle WebRTC offer and create answer
+ * POST /webrtc-bridge/:streamId/offer
  */
-app.post('/webrtc-bridge/:streamId/ice-candidate', async (req, res) => {
+app.post('/webrtc-bridge/:streamId/offer', rejectWhileDraining, requireStreamPublisher, async (req, res) => {
+  try {
+    const { streamId } = req.params;
+    const { streamKey, offer, destinations, record, hls, profile, waitForIceGathering } = req.body;
+
+    if (!streamKey || !offer || !offer.type || !offer.sdp) {
+      return res.status(400).json({
+        error: 'Missing required fields: streamKey, offer (type, sdp)'
+      });
+    }
+
+    const outputError = checkOutputOptions(req.body);
+    if (outputError) {
+      return res.status(400).json({
+        error: outputError
+      });
+    }
+
+    if (waitForIceGathering !== undefined && typeof waitForIceGathering !== 'boolean') {
+      return res.status(400).json({
+        error: 'waitForIceGathering must be a boolean'
+      });
+    }
+
+    bridgeLog.info({ streamId }, 'Received offer');
+
+    const result = await bridge.handleOffer(streamId, streamKey, offer, {
+      destinations,
+      record,
+      hls,
+      profile,
+      waitForIceGathering,
+    });
+
+    res.json({
+      success: true,
+      answer: result.answer,
+      iceCandidates: result.iceCandidates,
+    });
+  } catch (error) {
+    bridgeLog.error({ err: error, streamId: req.params.streamId }, 'Error handling offer');
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to handle WebRTC offer',
+      ...(error.status && error.code && { code: error.code })
+    });
+  }
+});
+
+/**
+ * Start a stream fed with H.264 (and Opus) over RTP, remuxed without
+ * re-encoding the video
+ * POST /webrtc-bridge/:streamId/rtp
+ */
+app.post('/webrtc-bridge/:streamId/rtp', rejectWhileDraining, requireStreamPublisher, async (req, res) => {
+  try {
+    const { streamId } = req.params;
+    const { streamKey, destinations, record, hls, profile, audio } = req.body;
+
+    if (!streamKey) {
+      return res.status(400).json({
+        error: 'Missing required field: streamKey'
+      });
+    }
+
+    const outputError = checkOutputOptions(req.body);
+    if (outputError) {
+      return res.status(400).json({
+        error: outputError
+      });
+    }
+
+    if (audio !== undefined && typeof audio !== 'boolean') {
+      return res.status(400).json({
+        error: 'audio must be a boolean'
+      });
+    }
+
+    bridgeLog.info({ streamId }, 'Received RTP ingest request');
+
+    const ingest = await bridge.handleRtpIngest(streamId, streamKey, {
+      destinations,
+      record,
+      hls,
+      profile,
+      audio,
+      address: req.hostname,
+    });
+
+    res.status(201).json({
+      success: true,
+      streamId,
+      ingest,
+    });
+  } catch (error) {
+    bridgeLog.error({ err: error, streamId: req.params.streamId }, 'Error starting RTP ingest');
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to start RTP ingest',
+      ...(error.status && error.code && { code: error.code })
+    });
+  }
+});
+
+/**
+ * Handle ICE candidate from client
+ * POST /webrtc-bridge/:streamId/ice-candidate
+ */
+app.post('/webrtc-bridge/:streamId/ice-candidate', requireStreamPublisher, async (req, res) => {
   try {
     const { streamId } = req.params;
     const { candidate } = req.body;
@@ -339,24 +1005,123 @@ app.post('/webrtc-bridge/:streamId/ice-candidate', async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('[Bridge] Error handling ICE candidate:', error);
+    bridgeLog.error({ err: error, streamId: req.params.streamId }, 'Error handling ICE candidate');
     res.status(500).json({
       error: error.message || 'Failed to handle ICE candidate'
     });
   }
 });
 
+/**
+ * Trickle the bridge's ICE candidates to the client
+ * GET /webrtc-bridge/:streamId/ice-candidates
+ *
+ * With `Accept: text/event-stream` this is a Server-Sent Events stream of
+ * `candidate` events followed by `end-of-candidates`. Otherwise it long-polls:
+ * `?since=N` returns candidates after index N as soon as there are any (or
+ * gathering completes), waiting up to 25 seconds.
+ */
+app.get('/webrtc-bridge/:streamId/ice-candidates', requireStreamAccess, (req, res) => {
+  const { streamId } = req.params;
+
+  if (!bridge.getStreamInfo(streamId)) {
+    return res.status(404).json({
+      error: 'Stream not found'
+    });
+  }
+
+  const since = Math.max(0, parseInt(req.query.since, 10) || 0);
+
+  const snapshot = () => {
+    const candidates = bridge.getIceCandidates(streamId);
+    return {
+      success: true,
+      candidates: candidates.slice(since),
+      next: candidates.length,
+      complete: bridge.isIceGatheringComplete(streamId),
+    };
+  };
+
+  let onCandidate;
+  let onComplete;
+  let onCleaned;
+  let pollTimer;
+  const stopListening = () => {
+    if (onCandidate) {
+      bridge.off('ice-candidate', onCandidate);
+      bridge.off('ice-gathering-complete', onComplete);
+      bridge.off('stream-cleaned', onCleaned);
+    }
+    clearTimeout(pollTimer);
+  };
+
+  if (req.accepts(['json', 'text/event-stream']) === 'text/event-stream') {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    const end = () => {
+      stopListening();
+      res.end();
+    };
+
+    const initial = snapshot();
+    initial.candidates.forEach(candidate => send('candidate', candidate));
+    if (initial.complete) {
+      send('end-of-candidates', {});
+      return end();
+    }
+
+    onCandidate = (id, candidate) => id === streamId && send('candidate', candidate);
+    onComplete = (id) => {
+      if (id === streamId) {
+        send('end-of-candidates', {});
+        end();
+      }
+    };
+    onCleaned = (id) => id === streamId && end();
+  } else {
+    const initial = snapshot();
+    if (initial.candidates.length > 0 || initial.complete) {
+      return res.json(initial);
+    }
+
+    const respond = () => {
+      stopListening();
+      if (!res.headersSent) {
+        res.json(snapshot());
+      }
+    };
+
+    onCandidate = (id) => id === streamId && respond();
+    onComplete = (id) => id === streamId && respond();
+    onCleaned = (id) => id === streamId && respond();
+    pollTimer = setTimeout(respond, 25000);
+  }
+
+  bridge.on('ice-candidate', onCandidate);
+  bridge.on('ice-gathering-complete', onComplete);
+  bridge.on('stream-cleaned', onCleaned);
+  req.on('close', stopListening);
+});
+
 /**
  * Get stream status
  * GET /webrtc-bridge/:streamId/status
  */
-app.get('/webrtc-bridge/:streamId/status', (req, res) => {
+app.get('/webrtc-bridge/:streamId/status', requireStreamAccess, (req, res) => {
   const { streamId } = req.params;
   const streamInfo = bridge.getStreamInfo(streamId);
 
   if (!streamInfo) {
+    // Say why the last session ended, if this node still remembers it
     return res.status(404).json({
-      error: 'Stream not found'
+      error: 'Stream not found',
+      ended: bridge.getEndedStream(streamId)
     });
   }
 
@@ -366,11 +1131,77 @@ app.get('/webrtc-bridge/:streamId/status', (req, res) => {
   });
 });
 
+/**
+ * List stream destinations
+ * GET /webrtc-bridge/:streamId/destinations
+ */
+app.get('/webrtc-bridge/:streamId/destinations', requireStreamAccess, (req, res) => {
+  const { streamId } = req.params;
+  const destinations = bridge.getDestinations(streamId);
+
+  if (!destinations) {
+    return res.status(404).json({
+      error: 'Stream not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    destinations
+  });
+});
+
+/**
+ * Add a destination to a live stream
+ * POST /webrtc-bridge/:streamId/destinations
+ */
+app.post('/webrtc-bridge/:streamId/destinations', requireStreamPublisher, (req, res) => {
+  try {
+    const { streamId } = req.params;
+    const destination = bridge.addDestination(streamId, req.body);
+
+    if (!destination) {
+      return res.status(404).json({
+        error: 'Stream not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      destination
+    });
+  } catch (error) {
+    bridgeLog.error({ err: error, streamId: req.params.streamId }, 'Error adding destination');
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to add destination'
+    });
+  }
+});
+
+/**
+ * Remove a destination from a live stream
+ * DELETE /webrtc-bridge/:streamId/destinations/:destinationId
+ */
+app.delete('/webrtc-bridge/:streamId/destinations/:destinationId', requireStreamPublisher, (req, res) => {
+  const { streamId, destinationId } = req.params;
+
+  if (!bridge.removeDestination(streamId, destinationId)) {
+    return res.status(404).json({
+      error: 'Stream or destination not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Destination ${destinationId} removed from ${streamId}`
+  });
+});
+
 /**
  * Cleanup stream
  * DELETE /webrtc-bridge/:streamId
  */
-app.delete('/webrtc-bridge/:streamId', (req, res) => {
+app.delete('/webrtc-bridge/:streamId', requireStreamPublisher, (req, res) => {
   const { streamId } = req.params;
   
   bridge.cleanupStream(streamId);
@@ -385,31 +1216,869 @@ app.delete('/webrtc-bridge/:streamId', (req, res) => {
  * Get bridge statistics
  * GET /webrtc-bridge/stats
  */
-app.get('/webrtc-bridge/stats', (req, res) => {
+app.get('/webrtc-bridge/stats', requireAdmin, (req, res) => {
   res.json({
     success: true,
     activeStreams: bridge.getActiveStreamCount(),
+    watchdog: bridge.getWatchdogStats(),
     timestamp: new Date().toISOString()
   });
 });
 
+// ============================================
+// ICE Servers
+// ============================================
+
+/**
+ * ICE servers for clients, with TURN credentials for the caller
+ * GET /ice-servers
+ *
+ * With TURN_SECRET the TURN credentials are time-limited; `ttl` (seconds)
+ * and `expiresAt` say when to fetch new ones. Without an auth provider
+ * anyone could mint them, so they are only issued when
+ * TURN_ALLOW_UNAUTHENTICATED=true.
+ */
+app.get('/ice-servers', requireAuthenticated, (req, res) => {
+  if (process.env.TURN_SECRET && !authenticator.isEnabled() && process.env.TURN_ALLOW_UNAUTHENTICATED !== 'true') {
+    return res.status(403).json({
+      error: 'TURN credentials need an auth provider (AUTH_PROVIDER) or TURN_ALLOW_UNAUTHENTICATED=true',
+      code: 'TURN_REQUIRES_AUTH'
+    });
+  }
+
+  const { iceServers, ttl, expiresAt } = getIceServerConfig({ userId: req.principal?.userId || null });
+
+  res.set('Cache-Control', 'no-store').json({
+    success: true,
+    iceServers,
+    ttl,
+    expiresAt
+  });
+});
+
+// ============================================
+// HLS Playback Endpoints
+// ============================================
+
+/**
+ * Serve HLS playlists and segments for a bridged stream
+ * GET /live/:streamId/index.m3u8
+ * GET /live/:streamId/:segment
+ *
+ * With authentication enabled, players send a token with access to the
+ * stream on every playlist and segment request.
+ */
+app.get('/live/:streamId/:file', requireStreamAccess, (req, res) => {
+  const { streamId, file } = req.params;
+
+  if (!HLS_STREAM_ID_PATTERN.test(streamId) || !HLS_FILE_PATTERN.test(file)) {
+    return res.status(404).json({
+      error: 'Not found'
+    });
+  }
+
+  const filePath = path.join(getHlsDirectory(streamId), file);
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({
+      error: 'Stream not found or not yet available'
+    });
+  }
+
+  // Playlists change every segment; segments never change once written
+  if (file.endsWith('.m3u8')) {
+    res.set('Cache-Control', 'no-cache, no-store');
+    res.type('application/vnd.apple.mpegurl');
+  } else {
+    res.set('Cache-Control', 'public, max-age=60');
+    res.type('video/mp2t');
+  }
+
+  res.sendFile(filePath);
+});
+
+// ============================================
+// Recordings Endpoints
+// ============================================
+
+/**
+ * List recordings
+ * GET /recordings
+ */
+app.get('/recordings', requireAdminApi, async (req, res) => {
+  try {
+    const recordings = await recordingStore.list();
+    res.json({
+      success: true,
+      recordings
+    });
+  } catch (error) {
+    recordingsLog.error({ err: error }, 'Error listing recordings');
+    res.status(500).json({
+      error: error.message || 'Failed to list recordings'
+    });
+  }
+});
+
+/**
+ * Download a recording
+ * GET /recordings/:recordingId
+ */
+app.get('/recordings/:recordingId', requireAdminApi, (req, res) => {
+  const filePath = recordingStore.resolve(req.params.recordingId);
+
+  if (!filePath) {
+    return res.status(404).json({
+      error: 'Recording not found'
+    });
+  }
+
+  res.download(filePath);
+});
+
+/**
+ * Delete a recording
+ * DELETE /recordings/:recordingId
+ */
+app.delete('/recordings/:recordingId', requireAdminApi, async (req, res) => {
+  try {
+    const { recordingId } = req.params;
+    const deleted = await recordingStore.delete(recordingId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Recording not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Recording ${recordingId} deleted`
+    });
+  } catch (error) {
+    recordingsLog.error({ err: error, recordingId: req.params.recordingId }, 'Error deleting recording');
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to delete recording'
+    });
+  }
+});
+
+// ============================================
+// WHIP Ingest Endpoints (RFC 9725)
+// ============================================
+
+/**
+ * WHIP guard
+ *
+ * WHIP clients send their stream key as the bearer token, not a JWT. With
+ * AUTH_PROVIDER set that key must come from the stream key registry: with
+ * the registry off any key is accepted, so anyone could publish or replace
+ * a stream. WHIP is refused in that configuration.
+ */
+function requireWhipStreamKey(req, res, next) {
+  if (!getBearerToken(req.get('Authorization'))) {
+    return res.status(401).set('WWW-Authenticate', 'Bearer').type('text/plain').send('Missing Bearer stream key');
+  }
+
+  if (authenticator.isEnabled() && !streamKeys.isEnabled()) {
+    return res.status(403).type('text/plain').send('WHIP requires the stream key registry (STREAM_KEY_PROVIDER) when authentication is enabled');
+  }
+
+  next();
+}
+
+/**
+ * Authorize a request against an existing WHIP session.
+ * Sends the error response and returns false if not allowed.
+ */
+function authorizeWhipSession(req, res) {
+  const { streamId } = req.params;
+  const streamKey = getBearerToken(req.get('Authorization'));
+
+  if (!bridge.getStreamInfo(streamId)) {
+    res.status(404).type('text/plain').send('WHIP session not found');
+    return false;
+  }
+
+  if (!bridge.isStreamKeyValid(streamId, streamKey)) {
+    res.status(403).type('text/plain').send('Invalid stream key for this session');
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Create a WHIP session: SDP offer in, SDP answer out
+ * POST /webrtc-bridge/:streamId/whip
+ */
+app.post('/webrtc-bridge/:streamId/whip', rejectWhileDraining, requireWhipStreamKey, async (req, res) => {
+  try {
+    const { streamId } = req.params;
+
+    if (!req.is('application/sdp')) {
+      return res.status(415).type('text/plain').send('Content-Type must be application/sdp');
+    }
+
+    const streamKey = getBearerToken(req.get('Authorization'));
+
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).type('text/plain').send('Missing SDP offer');
+    }
+
+    bridgeLog.info({ streamId, protocol: 'whip' }, 'Received offer');
+
+    // WHIP has no request body besides the SDP, so the profile is a query parameter
+    const result = await bridge.handleOffer(streamId, streamKey, {
+      type: 'offer',
+      sdp: req.body,
+    }, {
+      profile: typeof req.query.profile === 'string' ? req.query.profile : undefined,
+    });
+
+    res.status(201)
+      .set('Location', `/webrtc-bridge/${encodeURIComponent(streamId)}/whip`)
+      .set('ETag', result.etag)
+      .type('application/sdp')
+      .send(result.answer.sdp);
+  } catch (error) {
+    bridgeLog.error({ err: error, streamId: req.params.streamId, protocol: 'whip' }, 'Error handling offer');
+    res.status(error.status || 500).type('text/plain').send(error.message || 'Failed to handle WHIP offer');
+  }
+});
+
+/**
+ * Trickle ICE candidates or restart ICE for a WHIP session
+ * PATCH /webrtc-bridge/:streamId/whip
+ */
+app.patch('/webrtc-bridge/:streamId/whip', requireWhipStreamKey, async (req, res) => {
+  try {
+    const { streamId } = req.params;
+
+    if (!authorizeWhipSession(req, res)) {
+      return;
+    }
+
+    if (!req.is(SDP_FRAG_CONTENT_TYPE)) {
+      return res.status(415).type('text/plain').send(`Content-Type must be ${SDP_FRAG_CONTENT_TYPE}`);
+    }
+
+    const ifMatch = req.get('If-Match');
+    const etag = bridge.getStreamEtag(streamId);
+    if (ifMatch && ifMatch !== '*' && ifMatch !== etag) {
+      return res.status(412).type('text/plain').send('ETag does not match current session');
+    }
+
+    const fragment = parseSdpFrag(req.body);
+    const current = getIceCredentials(bridge.getRemoteSdp(streamId));
+    const isRestart = !!fragment.iceUfrag && !!fragment.icePwd && fragment.iceUfrag !== current.iceUfrag;
+
+    if (isRestart) {
+      const result = await bridge.restartIce(streamId, fragment);
+      if (!result) {
+        return res.status(404).type('text/plain').send('WHIP session not found');
+      }
+
+      for (const candidate of fragment.candidates) {
+        await bridge.handleIceCandidate(streamId, candidate);
+      }
+
+      return res.status(200)
+        .set('ETag', result.etag)
+        .type(SDP_FRAG_CONTENT_TYPE)
+        .send(buildSdpFrag(result.answer.sdp));
+    }
+
+    for (const candidate of fragment.candidates) {
+      const success = await bridge.handleIceCandidate(streamId, candidate);
+      if (!success) {
+        return res.status(422).type('text/plain').send('Failed to add ICE candidate');
+      }
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    bridgeLog.error({ err: error, streamId: req.params.streamId, protocol: 'whip' }, 'Error handling PATCH');
+    res.status(500).type('text/plain').send(error.message || 'Failed to handle WHIP PATCH');
+  }
+});
+
+/**
+ * Tear down a WHIP session
+ * DELETE /webrtc-bridge/:streamId/whip
+ */
+app.delete('/webrtc-bridge/:streamId/whip', requireWhipStreamKey, (req, res) => {
+  const { streamId } = req.params;
+
+  if (!authorizeWhipSession(req, res)) {
+    return;
+  }
+
+  bridge.cleanupStream(streamId);
+  res.status(200).end();
+});
+
+// ============================================
+// WHEP Playback Endpoints
+// ============================================
+
+/**
+ * Create a WHEP viewer session: SDP offer in, SDP answer out
+ * POST /webrtc-bridge/:streamId/whep
+ */
+app.post('/webrtc-bridge/:streamId/whep', rejectWhileDraining, requireStreamAccess, async (req, res) => {
+  try {
+    const { streamId } = req.params;
+
+    if (!req.is('application/sdp')) {
+      return res.status(415).type('text/plain').send('Content-Type must be application/sdp');
+    }
+
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).type('text/plain').send('Missing SDP offer');
+    }
+
+    bridgeLog.info({ streamId, protocol: 'whep' }, 'Received viewer offer');
+
+    const result = await bridge.addViewer(streamId, {
+      type: 'offer',
+      sdp: req.body,
+    });
+
+    res.status(201)
+      .set('Location', `/webrtc-bridge/${encodeURIComponent(streamId)}/whep/${result.viewerId}`)
+      .set('ETag', result.etag)
+      .type('application/sdp')
+      .send(result.answer.sdp);
+  } catch (error) {
+    bridgeLog.error({ err: error, streamId: req.params.streamId, protocol: 'whep' }, 'Error handling offer');
+    if (error.status === 503) {
+      res.set('Retry-After', '2');
+    }
+    res.status(error.status || 500).type('text/plain').send(error.message || 'Failed to handle WHEP offer');
+  }
+});
+
+/**
+ * Trickle ICE candidates or restart ICE for a WHEP viewer
+ * PATCH /webrtc-bridge/:streamId/whep/:viewerId
+ */
+app.patch('/webrtc-bridge/:streamId/whep/:viewerId', requireStreamAccess, async (req, res) => {
+  try {
+    const { streamId, viewerId } = req.params;
+    const viewer = bridge.getViewer(streamId, viewerId);
+
+    if (!viewer) {
+      return res.status(404).type('text/plain').send('WHEP session not found');
+    }
+
+    if (!req.is(SDP_FRAG_CONTENT_TYPE)) {
+      return res.status(415).type('text/plain').send(`Content-Type must be ${SDP_FRAG_CONTENT_TYPE}`);
+    }
+
+    const ifMatch = req.get('If-Match');
+    if (ifMatch && ifMatch !== '*' && ifMatch !== viewer.etag) {
+      return res.status(412).type('text/plain').send('ETag does not match current session');
+    }
+
+    const fragment = parseSdpFrag(req.body);
+    const current = getIceCredentials(viewer.pc.remoteDescription?.sdp);
+    const isRestart = !!fragment.iceUfrag && !!fragment.icePwd && fragment.iceUfrag !== current.iceUfrag;
+
+    if (isRestart) {
+      const result = await bridge.restartViewerIce(streamId, viewerId, fragment);
+      if (!result) {
+        return res.status(404).type('text/plain').send('WHEP session not found');
+      }
+
+      for (const candidate of fragment.candidates) {
+        await bridge.handleViewerIceCandidate(streamId, viewerId, candidate);
+      }
+
+      return res.status(200)
+        .set('ETag', result.etag)
+        .type(SDP_FRAG_CONTENT_TYPE)
+        .send(buildSdpFrag(result.answer.sdp));
+    }
+
+    for (const candidate of fragment.candidates) {
+      const success = await bridge.handleViewerIceCandidate(streamId, viewerId, candidate);
+      if (!success) {
+        return res.status(422).type('text/plain').send('Failed to add ICE candidate');
+      }
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    bridgeLog.error({ err: error, streamId: req.params.streamId, viewerId: req.params.viewerId, protocol: 'whep' }, 'Error handling PATCH');
+    res.status(500).type('text/plain').send(error.message || 'Failed to handle WHEP PATCH');
+  }
+});
+
+/**
+ * End a WHEP viewer session
+ * DELETE /webrtc-bridge/:streamId/whep/:viewerId
+ */
+app.delete('/webrtc-bridge/:streamId/whep/:viewerId', requireStreamAccess, (req, res) => {
+  const { streamId, viewerId } = req.params;
+
+  if (!bridge.removeViewer(streamId, viewerId)) {
+    return res.status(404).type('text/plain').send('WHEP session not found');
+  }
+
+  res.status(200).end();
+});
+
+// ============================================
+// Admin API
+// ============================================
+
+/**
+ * Admin API guard
+ *
+ * Accepts `Authorization: Bearer <ADMIN_TOKEN>` when ADMIN_TOKEN is set, or
+ * a token with the admin role when authentication is enabled. With neither,
+ * the admin API is disabled.
+ */
+function requireAdminApi(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  const token = getBearerToken(req.get('Authorization'));
+  if (adminToken && isTokenEqual(token, adminToken)) {
+    req.principal = { userId: 'admin-token', role: 'admin' };
+    return next();
+  }
+
+  if (authenticator.isEnabled()) {
+    return requireAdmin(req, res, next);
+  }
+  if (!adminToken) {
+    return res.status(403).json({
+      error: 'Admin API is disabled: set ADMIN_TOKEN or enable authentication',
+      code: 'ADMIN_DISABLED'
+    });
+  }
+
+  res.set('WWW-Authenticate', 'Bearer');
+  res.status(401).json({ error: 'Invalid admin token', code: 'UNAUTHORIZED' });
+}
+
+/**
+ * Describe a room from the shared state: members on every node, with their
+ * reconnect state
+ */
+async function describeRoom(roomId) {
+  const members = await stateStore.getRoomMembers(roomId);
+  if (members.length === 0) {
+    return null;
+  }
+
+  return {
+    roomId,
+    mode: (await stateStore.getRoomMode(roomId))?.mode || 'mesh',
+    participantCount: members.length,
+    participants: members.map(({ userId, userType, socketId, joinedAt, disconnectedAt, nodeId }) => ({
+      userId,
+      userType,
+      socketId,
+      joinedAt,
+      node: nodeId,
+      disconnectedAt: disconnectedAt || null,
+    })),
+  };
+}
+
+/**
+ * List rooms with their participants and roles
+ * GET /admin/rooms
+ */
+app.get('/admin/rooms', requireAdminApi, async (req, res) => {
+  try {
+    const rooms = await Promise.all((await stateStore.getRoomIds()).map(describeRoom));
+    res.json({
+      success: true,
+      rooms: rooms.filter(Boolean)
+    });
+  } catch (error) {
+    adminLog.error({ err: error }, 'Error listing rooms');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get a room
+ * GET /admin/rooms/:roomId
+ */
+app.get('/admin/rooms/:roomId', requireAdminApi, async (req, res) => {
+  try {
+    const room = await describeRoom(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ error: `Room ${req.params.roomId} not found` });
+    }
+
+    res.json({
+      success: true,
+      room
+    });
+  } catch (error) {
+    adminLog.error({ err: error, roomId: req.params.roomId }, 'Error getting room');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Close a room: everyone gets `room-closed` and is removed from it
+ * DELETE /admin/rooms/:roomId
+ *
+ * Body (optional): { reason }
+ */
+app.delete('/admin/rooms/:roomId', requireAdminApi, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const reason = req.body?.reason || null;
+    const room = await describeRoom(roomId);
+    if (!room) {
+      return res.status(404).json({ error: `Room ${roomId} not found` });
+    }
+
+    io.to(roomId).emit('room-closed', { roomId, reason });
+    io.in(roomId).socketsLeave(roomId);
+    closeLocalRoom(roomId);
+    if (stateStore.isShared) {
+      io.serverSideEmit('room-closed', { roomId });
+    }
+
+    adminLog.info({ roomId, reason, participants: room.participantCount, by: req.principal?.userId }, 'Room closed');
+    res.json({
+      success: true,
+      message: `Room ${roomId} closed`,
+      participants: room.participantCount
+    });
+  } catch (error) {
+    adminLog.error({ err: error, roomId: req.params.roomId }, 'Error closing room');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Inspect a participant and its socket
+ * GET /admin/rooms/:roomId/participants/:userId
+ *
+ * `socket.transport` is only known for sockets connected to the node
+ * answering the request.
+ */
+app.get('/admin/rooms/:roomId/participants/:userId', requireAdminApi, async (req, res) => {
+  try {
+    const { roomId, userId } = req.params;
+    const member = await findRoomMember(roomId, userId);
+    if (!member) {
+      return res.status(404).json({ error: `User ${userId} not found in room ${roomId}` });
+    }
+
+    const localSocket = io.of('/').sockets.get(member.socketId);
+    const [socket] = localSocket ? [localSocket] : await io.in(member.socketId).fetchSockets();
+
+    res.json({
+      success: true,
+      participant: {
+        roomId,
+        userId: member.userId,
+        userType: member.userType,
+        joinedAt: member.joinedAt,
+        node: member.nodeId || NODE_ID,
+        disconnectedAt: member.disconnectedAt || null,
+        socket: socket ? {
+          id: socket.id,
+          transport: localSocket ? localSocket.conn.transport.name : null,
+          address: socket.handshake.address,
+          userAgent: socket.handshake.headers['user-agent'] || null,
+          connectedAt: new Date(socket.handshake.issued).toISOString(),
+          rooms: Array.from(socket.rooms).filter(room => room !== socket.id),
+          principal: socket.data.principal
+            ? { userId: socket.data.principal.userId, role: socket.data.principal.role }
+            : null,
+        } : null,
+      }
+    });
+  } catch (error) {
+    adminLog.error({ err: error, roomId: req.params.roomId, userId: req.params.userId }, 'Error inspecting participant');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Kick a participant: its socket gets `kicked` and is disconnected
+ * POST /admin/rooms/:roomId/participants/:userId/kick
+ *
+ * Body (optional): { reason }
+ */
+app.post('/admin/rooms/:roomId/participants/:userId/kick', requireAdminApi, async (req, res) => {
+  try {
+    const { roomId, userId } = req.params;
+    const reason = req.body?.reason || null;
+    const member = await findRoomMember(roomId, userId);
+    if (!member) {
+      return res.status(404).json({ error: `User ${userId} not found in room ${roomId}` });
+    }
+
+    if (!member.nodeId || member.nodeId === NODE_ID) {
+      kickLocalMember(roomId, userId, member.socketId, reason);
+    } else {
+      io.serverSideEmit('member-kicked', { roomId, userId, socketId: member.socketId, reason });
+    }
+
+    adminLog.info({ roomId, userId, socketId: member.socketId, reason, by: req.principal?.userId }, 'User kicked');
+    res.json({
+      success: true,
+      message: `User ${userId} kicked from room ${roomId}`
+    });
+  } catch (error) {
+    adminLog.error({ err: error, roomId: req.params.roomId, userId: req.params.userId }, 'Error kicking user');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete a chat message: the room gets `chat-message-deleted`
+ * DELETE /admin/rooms/:roomId/messages/:messageId
+ */
+app.delete('/admin/rooms/:roomId/messages/:messageId', requireAdminApi, async (req, res) => {
+  try {
+    const { roomId, messageId } = req.params;
+    const message = await chat.deleteMessage(roomId, messageId, { userId: req.principal?.userId || 'admin', userType: 'admin' });
+    if (!message) {
+      return res.status(404).json({ error: `Message ${messageId} not found in room ${roomId}` });
+    }
+
+    adminLog.info({ roomId, messageId, author: message.userId, by: req.principal?.userId }, 'Chat message deleted');
+    res.json({
+      success: true,
+      message: `Message ${messageId} deleted from room ${roomId}`
+    });
+  } catch (error) {
+    adminLog.error({ err: error, roomId: req.params.roomId, messageId: req.params.messageId }, 'Error deleting chat message');
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * List this node's bridge streams
+ * GET /admin/streams
+ */
+app.get('/admin/streams', requireAdminApi, (req, res) => {
+  res.json({
+    success: true,
+    node: NODE_ID,
+    streams: bridge.getStreamIds().map(streamId => bridge.getStreamInfo(streamId))
+  });
+});
+
+app.use('/admin/streams/:streamId', routeToStreamOwner);
+
+/**
+ * Force-stop a bridge stream, whoever published it
+ * DELETE /admin/streams/:streamId
+ */
+app.delete('/admin/streams/:streamId', requireAdminApi, (req, res) => {
+  const { streamId } = req.params;
+  if (!bridge.hasStream(streamId)) {
+    return res.status(404).json({ error: `Stream ${streamId} not found` });
+  }
+
+  bridge.cleanupStream(streamId, 'admin-stopped');
+  adminLog.info({ streamId, by: req.principal?.userId }, 'Stream stopped');
+  res.json({
+    success: true,
+    message: `Stream ${streamId} stopped`
+  });
+});
+
+/**
+ * Send a stream key registry error: its own status and code, or a 500
+ */
+function sendStreamKeyError(res, error, streamId, action) {
+  if (!error.status) {
+    adminLog.error({ err: error, streamId }, `Error ${action} stream key`);
+  }
+  res.status(error.status || 500).json({
+    error: error.message,
+    ...(error.status && { code: error.code })
+  });
+}
+
+/**
+ * List registered stream keys (masked)
+ * GET /admin/stream-keys
+ */
+app.get('/admin/stream-keys', requireAdminApi, async (req, res) => {
+  try {
+    const entries = await streamKeys.list();
+    res.json({
+      success: true,
+      streamKeys: entries.map(({ streamId, ...entry }) => streamKeys.describe(streamId, entry))
+    });
+  } catch (error) {
+    sendStreamKeyError(res, error, null, 'listing');
+  }
+});
+
+/**
+ * Get a stream's key (masked) and destination
+ * GET /admin/streams/:streamId/key
+ */
+app.get('/admin/streams/:streamId/key', requireAdminApi, async (req, res) => {
+  const { streamId } = req.params;
+  try {
+    const entry = await streamKeys.get(streamId);
+    if (!entry) {
+      return res.status(404).json({ error: `Stream ${streamId} has no stream key`, code: 'NOT_FOUND' });
+    }
+    res.json({ success: true, ...streamKeys.describe(streamId, entry) });
+  } catch (error) {
+    sendStreamKeyError(res, error, streamId, 'reading');
+  }
+});
+
+/**
+ * Issue a stream key; the response is the only time it is shown
+ * POST /admin/streams/:streamId/key
+ */
+app.post('/admin/streams/:streamId/key', requireAdminApi, async (req, res) => {
+  const { streamId } = req.params;
+  try {
+    const { streamKey, entry } = await streamKeys.create(streamId, { destination: req.body?.destination });
+    adminLog.info({ streamId, by: req.principal?.userId }, 'Stream key created');
+    res.status(201).json({ success: true, ...streamKeys.describe(streamId, entry), streamKey });
+  } catch (error) {
+    sendStreamKeyError(res, error, streamId, 'creating');
+  }
+});
+
+/**
+ * Replace a stream key (and optionally its destination); a live stream
+ * keeps running
+ * POST /admin/streams/:streamId/key/rotate
+ */
+app.post('/admin/streams/:streamId/key/rotate', requireAdminApi, async (req, res) => {
+  const { streamId } = req.params;
+  try {
+    const { streamKey, entry } = await streamKeys.rotate(streamId, { destination: req.body?.destination });
+    adminLog.info({ streamId, by: req.principal?.userId }, 'Stream key rotated');
+    res.json({ success: true, ...streamKeys.describe(streamId, entry), streamKey });
+  } catch (error) {
+    sendStreamKeyError(res, error, streamId, 'rotating');
+  }
+});
+
+/**
+ * Revoke a stream key and stop the stream if it is live
+ * DELETE /admin/streams/:streamId/key
+ */
+app.delete('/admin/streams/:streamId/key', requireAdminApi, async (req, res) => {
+  const { streamId } = req.params;
+  try {
+    const entry = await streamKeys.revoke(streamId);
+    const stopped = bridge.hasStream(streamId);
+    if (stopped) {
+      bridge.cleanupStream(streamId, 'key-revoked');
+    }
+    adminLog.info({ streamId, stopped, by: req.principal?.userId }, 'Stream key revoked');
+    res.json({ success: true, ...streamKeys.describe(streamId, entry), streamStopped: stopped });
+  } catch (error) {
+    sendStreamKeyError(res, error, streamId, 'revoking');
+  }
+});
+
+// Connect the shared state store; with Redis, Socket.IO delivery spans nodes
+await stateStore.connect();
+const adapter = await stateStore.createAdapter();
+if (adapter) {
+  io.adapter(adapter);
+}
+
 httpServer.listen(PORT, HOST, () => {
-  console.log(`🚀 Signaling server running on http://${HOST === '0.0.0.0' ? '0.0.0.0' : HOST}:${PORT}`);
-  console.log(`📡 WebSocket server ready for WebRTC connections`);
-  console.log(`🌐 Accessible at: http://192.168.1.13:${PORT}`);
-  console.log(`🌐 Also accessible at: http://localhost:${PORT}`);
-  console.log(`🔌 Socket.IO endpoint: http://192.168.1.13:${PORT}/socket.io/`);
-  console.log(`\n📋 Available endpoints:`);
-  console.log(`   GET  /test - Test server accessibility`);
-  console.log(`   GET  /health - Health check with connection count`);
-  console.log(`   GET  /socket.io/ - Socket.IO endpoint test`);
-  console.log(`\n🌉 WebRTC to RTMP Bridge endpoints:`);
-  console.log(`   POST /webrtc-bridge/:streamId/offer - Handle WebRTC offer`);
-  console.log(`   POST /webrtc-bridge/:streamId/ice-candidate - Handle ICE candidate`);
-  console.log(`   GET  /webrtc-bridge/:streamId/status - Get stream status`);
-  console.log(`   DELETE /webrtc-bridge/:streamId - Cleanup stream`);
-  console.log(`   GET  /webrtc-bridge/stats - Get bridge statistics`);
+  log.info({ host: HOST, port: PORT, nodeId: NODE_ID, stateStore: stateStore.name }, 'Signaling server listening');
+  log.debug({
+    endpoints: [
+      'GET /test', 'GET /health', 'GET /metrics', 'GET /socket.io/', 'GET /ice-servers',
+      'POST /webrtc-bridge/:streamId/offer', 'POST /webrtc-bridge/:streamId/ice-candidate',
+      'GET /webrtc-bridge/:streamId/ice-candidates', 'GET /webrtc-bridge/:streamId/status',
+      'GET|POST /webrtc-bridge/:streamId/destinations', 'DELETE /webrtc-bridge/:streamId/destinations/:destinationId',
+      'DELETE /webrtc-bridge/:streamId', 'GET /webrtc-bridge/stats',
+      'GET /live/:streamId/index.m3u8',
+      'GET /recordings', 'GET|DELETE /recordings/:recordingId',
+      'POST|PATCH|DELETE /webrtc-bridge/:streamId/whip',
+      'POST /webrtc-bridge/:streamId/whep', 'PATCH|DELETE /webrtc-bridge/:streamId/whep/:viewerId',
+      'GET /admin/rooms', 'GET|DELETE /admin/rooms/:roomId', 'GET /admin/rooms/:roomId/participants/:userId',
+      'POST /admin/rooms/:roomId/participants/:userId/kick', 'DELETE /admin/rooms/:roomId/messages/:messageId',
+      'GET /admin/streams', 'DELETE /admin/streams/:streamId',
+      'GET /admin/stream-keys', 'GET|POST|DELETE /admin/streams/:streamId/key', 'POST /admin/streams/:streamId/key/rotate',
+    ],
+  }, 'Available endpoints');
 });
 
+// ============================================
+// Graceful shutdown
+// ============================================
 
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS ?? '25000', 10);
+const SHUTDOWN_RECONNECT_JITTER_MS = parseInt(process.env.SHUTDOWN_RECONNECT_JITTER_MS ?? '5000', 10);
 
+/**
+ * Wind the node down on SIGTERM/SIGINT instead of dropping everyone:
+ *   1. refuse new joins and bridge offers (/health reports 'draining')
+ *   2. tell every socket to reconnect, each after a random delay so they
+ *      don't all land on the remaining nodes at once
+ *   3. clean up bridge streams, waiting for FFmpeg to flush
+ *   4. disconnect sockets, close the HTTP server, send pending webhooks and
+ *      close the state store
+ *
+ * Whatever is still running after SHUTDOWN_TIMEOUT_MS is cut off. A second
+ * signal exits immediately.
+ */
+async function shutdown(signal) {
+  if (draining) {
+    log.warn({ signal }, 'Shutdown already in progress, exiting now');
+    process.exit(1);
+  }
+  draining = true;
+  log.info({ signal, timeoutMs: SHUTDOWN_TIMEOUT_MS, streams: bridge.getActiveStreamCount() }, 'Shutting down');
+
+  const deadline = setTimeout(() => {
+    log.error({ timeoutMs: SHUTDOWN_TIMEOUT_MS }, 'Shutdown deadline reached, exiting');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  deadline.unref();
+
+  for (const socket of io.of('/').sockets.values()) {
+    socket.emit('server-shutdown', {
+      reason: 'shutdown',
+      reconnect: true,
+      reconnectDelayMs: Math.floor(Math.random() * SHUTDOWN_RECONNECT_JITTER_MS),
+    });
+  }
+
+  try {
+    await bridge.shutdown();
+
+    // Server-initiated disconnects skip the reconnect grace window, so
+    // memberships are released for the nodes clients reconnect to
+    io.local.disconnectSockets(true);
+    await new Promise((resolve) => {
+      io.close(() => resolve());
+      httpServer.closeIdleConnections();
+    });
+    await webhooks.drain();
+    await stateStore.close();
+
+    log.info('Shutdown complete');
+    process.exit(0);
+  } catch (error) {
+    log.error({ err: error }, 'Error during shutdown');
+    process.exit(1);
+  }
+}
+
+for (const signal of ['SIGTERM', 'SIGINT']) {
+  process.on(signal, () => {
+    shutdown(signal);
+  });
+}
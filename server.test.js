@@ -0,0 +1,307 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import jwt from 'jsonwebtoken';
+import { io } from 'socket.io-client';
+import { getFfmpegPath } from './bridge/FFmpegPipeline.js';
+
+const JWT_SECRET = 'test-secret';
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Run server.js in a child process until it logs that it is listening
+ */
+async function startServer(env = {}) {
+  const port = await getFreePort();
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: new URL('.', import.meta.url).pathname,
+    env: { ...process.env, HOST: '127.0.0.1', PORT: String(port), LOG_LEVEL: 'info', ...env },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Server did not start in time')), 10000);
+    child.stdout.on('data', (chunk) => {
+      if (chunk.toString().includes('Signaling server listening')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}`));
+    });
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    stop: () => new Promise((resolve) => {
+      child.once('exit', resolve);
+      child.kill('SIGKILL');
+    }),
+  };
+}
+
+const SDP_OFFER = 'v=0\r\no=- 0 0 IN IP4 127.0.0.1\r\ns=-\r\nt=0 0\r\n';
+
+describe('bridge routes with AUTH_PROVIDER=jwt', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ AUTH_PROVIDER: 'jwt', JWT_SECRET, STREAM_KEY_PROVIDER: 'none' });
+  });
+
+  after(() => server?.stop());
+
+  test('JSON offer without a token is 401', async () => {
+    const response = await fetch(`${server.url}/webrtc-bridge/victim/offer`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ streamKey: 'key', offer: { type: 'offer', sdp: SDP_OFFER } }),
+    });
+    assert.equal(response.status, 401);
+  });
+
+  test('WHIP offer without a token is 401', async () => {
+    const response = await fetch(`${server.url}/webrtc-bridge/victim/whip`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/sdp' },
+      body: SDP_OFFER,
+    });
+    assert.equal(response.status, 401);
+    assert.equal(response.headers.get('www-authenticate'), 'Bearer');
+  });
+
+  test('WHIP with an unregistered key is 403 while the key registry is off', async () => {
+    for (const method of ['POST', 'PATCH', 'DELETE']) {
+      const response = await fetch(`${server.url}/webrtc-bridge/victim/whip`, {
+        method,
+        headers: { 'Content-Type': 'application/sdp', Authorization: 'Bearer anything' },
+        body: method === 'DELETE' ? undefined : SDP_OFFER,
+      });
+      assert.equal(response.status, 403, `${method} /whip`);
+    }
+  });
+
+  test('WHEP viewer routes need a token with access to the stream', async () => {
+    const unauthenticated = await fetch(`${server.url}/webrtc-bridge/victim/whep/some-viewer`, { method: 'DELETE' });
+    assert.equal(unauthenticated.status, 401);
+
+    const token = jwt.sign({ sub: 'viewer-1', role: 'viewer', streams: ['other'] }, JWT_SECRET);
+    const forbidden = await fetch(`${server.url}/webrtc-bridge/victim/whep/some-viewer`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    assert.equal(forbidden.status, 403);
+  });
+
+  test('HLS playback needs a token with access to the stream', async () => {
+    const unauthenticated = await fetch(`${server.url}/live/victim/index.m3u8`);
+    assert.equal(unauthenticated.status, 401);
+
+    const token = jwt.sign({ sub: 'viewer-1', role: 'viewer', streams: ['victim'] }, JWT_SECRET);
+    const allowed = await fetch(`${server.url}/live/victim/index.m3u8`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    assert.equal(allowed.status, 404);
+  });
+
+  test('RTP ingest remuxes the H.264 sent to its port', async () => {
+    const headers = {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${jwt.sign({ sub: 'publisher-1', role: 'broadcaster', streams: ['rtp-1'] }, JWT_SECRET)}`,
+    };
+    const response = await fetch(`${server.url}/webrtc-bridge/rtp-1/rtp`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ streamKey: 'key', audio: false, destinations: [{ url: 'rtmp://127.0.0.1:1/live' }] }),
+    });
+    assert.equal(response.status, 201);
+    const { ingest } = await response.json();
+    assert.equal(ingest.audio, null);
+    assert.match(ingest.sdp, new RegExp(`m=video ${ingest.video.port} RTP/AVP ${ingest.video.payloadType}`));
+
+    const sender = spawn(getFfmpegPath(), [
+      '-hide_banner', '-loglevel', 'error',
+      '-re', '-f', 'lavfi', '-i', 'testsrc=size=64x64:rate=10',
+      '-t', '4', '-c:v', 'libx264', '-profile:v', 'baseline', '-pix_fmt', 'yuv420p', '-g', '10',
+      '-f', 'rtp', '-payload_type', String(ingest.video.payloadType), `rtp://127.0.0.1:${ingest.video.port}`,
+    ], { stdio: 'ignore' });
+    await once(sender, 'close');
+
+    const { stream } = await (await fetch(`${server.url}/webrtc-bridge/rtp-1/status`, { headers })).json();
+    assert.equal(stream.passthrough, true);
+    assert.equal(stream.ingest.protocol, 'rtp');
+    assert.equal(stream.codecs.video.codec, 'H264');
+    assert.ok(stream.connectedAt, 'no media reached the outputs');
+
+    assert.equal((await fetch(`${server.url}/webrtc-bridge/rtp-1`, { method: 'DELETE', headers })).status, 200);
+  });
+});
+
+describe('ICE servers without an auth provider', () => {
+  const turnEnv = { AUTH_PROVIDER: 'none', TURN_SERVER_URL: 'turn:turn.example.com:3478', TURN_SECRET: 'change-me' };
+
+  test('TURN REST credentials are refused', async () => {
+    const server = await startServer(turnEnv);
+    try {
+      const response = await fetch(`${server.url}/ice-servers`);
+      assert.equal(response.status, 403);
+      assert.equal((await response.json()).code, 'TURN_REQUIRES_AUTH');
+    } finally {
+      await server.stop();
+    }
+  });
+
+  test('TURN_ALLOW_UNAUTHENTICATED opts in', async () => {
+    const server = await startServer({ ...turnEnv, TURN_ALLOW_UNAUTHENTICATED: 'true' });
+    try {
+      const response = await fetch(`${server.url}/ice-servers`);
+      assert.equal(response.status, 200);
+      const { iceServers } = await response.json();
+      assert.ok(iceServers.some(entry => entry.urls === 'turn:turn.example.com:3478' && entry.credential));
+    } finally {
+      await server.stop();
+    }
+  });
+});
+
+describe('signaling acks', () => {
+  let server;
+  let socket;
+
+  before(async () => {
+    server = await startServer({ AUTH_PROVIDER: 'none', ADMIN_TOKEN: 'admin-secret', METRICS_TOKEN: 'metrics-secret' });
+    socket = io(server.url, { transports: ['websocket'] });
+    const joined = await socket.emitWithAck('join-room', { roomId: 'room-1', userId: 'alice', userType: 'viewer' });
+    assert.equal(joined.success, true);
+  });
+
+  after(async () => {
+    socket?.disconnect();
+    await server?.stop();
+  });
+
+  test('invalid payloads are rejected in the ack', async () => {
+    const ack = await socket.emitWithAck('offer', {
+      roomId: 'room-1',
+      targetUserId: 'bob',
+      offer: { type: 'offer' },
+      messageId: 'm-1',
+    });
+    assert.deepEqual(ack, { status: 'rejected', error: 'offer.sdp is required', code: 'INVALID_PAYLOAD', messageId: 'm-1' });
+  });
+
+  test('invalid payloads without an ack get a signaling-error', async () => {
+    const rejected = once(socket, 'signaling-error');
+    socket.emit('stream-type', { roomId: 'room-1', streamType: 42 });
+    const [error] = await rejected;
+    assert.equal(error.event, 'stream-type');
+    assert.equal(error.code, 'INVALID_PAYLOAD');
+    assert.equal(error.error, 'streamType must be a string');
+  });
+
+  test('a non-function ack argument is ignored', async () => {
+    socket.emit('stream-type', { roomId: 'room-1', streamType: 'camera' }, 'not-a-function');
+    socket.emit('reaction', { roomId: 'room-1', emoji: '👍' }, 42);
+    socket.emit('room-data', { roomId: 'room-1', data: {} }, { fake: 'ack' });
+
+    const ack = await socket.timeout(2000).emitWithAck('stream-type', { roomId: 'room-1', streamType: 'screen' });
+    assert.equal(ack.status, 'delivered');
+    const health = await fetch(`${server.url}/health`);
+    assert.equal(health.status, 200);
+  });
+
+  test('an SFU ICE candidate outside an SFU room is rejected', async () => {
+    const ack = await socket.emitWithAck('sfu-ice-candidate', {
+      roomId: 'room-1',
+      candidate: { candidate: 'candidate:1 1 udp 2122260223 192.0.2.1 54400 typ host', sdpMid: '0', sdpMLineIndex: 0 },
+    });
+    assert.equal(ack.status, 'rejected');
+    assert.equal(ack.code, 'SFU_ERROR');
+  });
+
+  test('an end-of-candidates SFU ICE candidate is acked too', async () => {
+    const ack = await socket.timeout(2000).emitWithAck('sfu-ice-candidate', { roomId: 'room-1', candidate: null });
+    assert.equal(ack.status, 'rejected');
+    assert.equal(ack.code, 'SFU_ERROR');
+  });
+
+  test('metrics need the token and keep made-up user types off the role label', async () => {
+    const other = io(server.url, { transports: ['websocket'] });
+    try {
+      const joined = await other.emitWithAck('join-room', { roomId: 'room-1', userId: 'mallory', userType: 'made-up-role' });
+      assert.equal(joined.success, true);
+
+      for (const authorization of [undefined, 'Bearer metrics-secreT', 'Bearer metrics']) {
+        const response = await fetch(`${server.url}/metrics`, { headers: authorization ? { Authorization: authorization } : {} });
+        assert.equal(response.status, 401, String(authorization));
+      }
+
+      const response = await fetch(`${server.url}/metrics`, { headers: { Authorization: 'Bearer metrics-secret' } });
+      assert.equal(response.status, 200);
+      const roles = (await response.text()).match(/^signaling_room_users\{role="[^"]*"\} \d+$/gm);
+      assert.deepEqual(roles.sort(), ['signaling_room_users{role="other"} 1', 'signaling_room_users{role="viewer"} 1']);
+    } finally {
+      other.disconnect();
+    }
+  });
+
+  test('the admin API deletes chat messages', async () => {
+    const posted = await socket.emitWithAck('chat-message', { roomId: 'room-1', text: 'hello' });
+    assert.equal(posted.status, 'delivered');
+
+    const deleted = once(socket, 'chat-message-deleted');
+    const remove = () => fetch(`${server.url}/admin/rooms/room-1/messages/${posted.messageId}`, {
+      method: 'DELETE',
+      headers: { Authorization: 'Bearer admin-secret' },
+    });
+
+    assert.equal((await remove()).status, 200);
+    const [event] = await deleted;
+    assert.deepEqual(event, { roomId: 'room-1', messageId: posted.messageId, deletedBy: 'admin-token' });
+    assert.equal((await remove()).status, 404);
+  });
+});
+
+describe('recordings without an auth provider', () => {
+  let server;
+  let recordingsDir;
+
+  before(async () => {
+    recordingsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-test-'));
+    server = await startServer({ AUTH_PROVIDER: 'none', ADMIN_TOKEN: 'admin-secret', RECORDINGS_DIR: recordingsDir });
+  });
+
+  after(async () => {
+    await server?.stop();
+    fs.rmSync(recordingsDir, { recursive: true, force: true });
+  });
+
+  test('need the admin token', async () => {
+    for (const [method, route] of [['GET', '/recordings'], ['GET', '/recordings/some.mp4'], ['DELETE', '/recordings/some.mp4']]) {
+      const response = await fetch(`${server.url}${route}`, { method });
+      assert.equal(response.status, 401, `${method} ${route}`);
+    }
+
+    const listed = await fetch(`${server.url}/recordings`, { headers: { Authorization: 'Bearer admin-secret' } });
+    assert.equal(listed.status, 200);
+    assert.deepEqual((await listed.json()).recordings, []);
+  });
+});
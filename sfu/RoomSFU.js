@@ -0,0 +1,451 @@
+// Room SFU (Selective Forwarding Unit)
+//
+// Opt-in alternative to the peer-to-peer mesh for Socket.IO rooms. In an SFU
+// room the server is the only WebRTC peer each participant talks to:
+//   - broadcasters publish once (client offers, server answers)
+//   - viewers receive every broadcaster's tracks (server offers, client answers)
+//
+// The server renegotiates with viewers whenever broadcasters publish, stop
+// publishing or leave. A viewer who joins before anything is published gets
+// its first offer when the first track arrives. Uses the same wrtc stack as the RTMP bridge.
+//
+// Socket.IO events (see server.js):
+//   client -> server  'sfu-publish'        { roomId, offer }   ack: { answer }
+//   server -> client  'sfu-offer'          { roomId, offer, tracks }
+//   client -> server  'sfu-answer'         { roomId, answer }
+//   both directions   'sfu-ice-candidate'  { roomId, candidate }
+
+import { EventEmitter } from 'events';
+import { getIceServers } from '../bridge/iceServers.js';
+import {
+  loadWrtc,
+  wrtcAvailable,
+  RTCPeerConnection,
+  RTCSessionDescription,
+  RTCIceCandidate,
+} from '../bridge/wrtc.js';
+import { createLogger } from '../logging/logger.js';
+
+const log = createLogger('sfu');
+
+/**
+ * Room SFU Service
+ */
+class RoomSFU extends EventEmitter {
+  constructor() {
+    super();
+    this.rooms = new Map(); // roomId -> Map(socketId -> { roomId, userId, userType, pc, emit, tracks, senders, ... })
+    this.answerTimeoutMs = parseInt(process.env.SFU_ANSWER_TIMEOUT_MS ?? '10000', 10);
+  }
+
+  /**
+   * Make sure wrtc is loaded before creating server-side peers
+   */
+  async ensureAvailable() {
+    if (!wrtcAvailable) {
+      await loadWrtc();
+    }
+    return wrtcAvailable;
+  }
+
+  /**
+   * Whether a room is running in SFU mode
+   */
+  isSfuRoom(roomId) {
+    return this.rooms.has(roomId);
+  }
+
+  /**
+   * Get a socket's SFU peer in a room
+   */
+  getPeer(roomId, socketId) {
+    return this.rooms.get(roomId)?.get(socketId) || null;
+  }
+
+  /**
+   * Add a participant to an SFU room
+   *
+   * `emit(event, payload)` delivers server-initiated signaling to the client.
+   */
+  async join(roomId, socketId, { userId, userType, emit }) {
+    if (!(await this.ensureAvailable())) {
+      throw new Error('WebRTC (wrtc) module not available. SFU rooms require wrtc (run on Linux/Docker).');
+    }
+
+    if (this.getPeer(roomId, socketId)) {
+      this.leave(roomId, socketId);
+    }
+
+    const pc = new RTCPeerConnection({
+      iceServers: getIceServers({ userId: 'sfu' }),
+    });
+
+    const peer = {
+      socketId,
+      roomId,
+      userId,
+      userType,
+      pc,
+      emit,
+      tracks: [], // tracks published by this peer (broadcasters)
+      senders: new Map(), // publisher socketId -> RTCRtpSender[] (viewers)
+      negotiating: false,
+      negotiationPending: false,
+      negotiationScheduled: false,
+      answerTimer: null,
+    };
+
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, new Map());
+      log.info({ roomId }, 'SFU room created');
+    }
+    this.rooms.get(roomId).set(socketId, peer);
+
+    pc.onicecandidate = (event) => {
+      if (event.candidate) {
+        peer.emit('sfu-ice-candidate', {
+          roomId,
+          candidate: {
+            candidate: event.candidate.candidate,
+            sdpMLineIndex: event.candidate.sdpMLineIndex ?? null,
+            sdpMid: event.candidate.sdpMid ?? null,
+          },
+        });
+      }
+    };
+
+    pc.onconnectionstatechange = () => {
+      log.info({ roomId, userId, socketId: peer.socketId, connectionState: pc.connectionState }, 'SFU peer connection state changed');
+    };
+
+    if (this.isPublisher(peer)) {
+      pc.ontrack = (event) => this.handlePublishedTrack(peer, event.track);
+    } else {
+      // Viewers start with every track already published in the room
+      for (const publisher of this.getPublishers(roomId)) {
+        this.subscribe(peer, publisher);
+      }
+      this.scheduleNegotiation(peer);
+    }
+
+    log.info({ roomId, userId, userType, socketId }, 'Joined SFU room');
+    return peer;
+  }
+
+  /**
+   * Move a participant's peer to a new socket after a signaling reconnect.
+   * The server-side peer connection (and its forwarded tracks) is kept.
+   */
+  rebind(roomId, previousSocketId, socketId, emit) {
+    const peer = this.getPeer(roomId, previousSocketId);
+    if (!peer) {
+      return null;
+    }
+
+    const room = this.rooms.get(roomId);
+    room.delete(previousSocketId);
+    room.set(socketId, peer);
+    peer.socketId = socketId;
+    peer.emit = emit;
+
+    for (const subscriber of room.values()) {
+      const senders = subscriber.senders.get(previousSocketId);
+      if (senders) {
+        subscriber.senders.delete(previousSocketId);
+        subscriber.senders.set(socketId, senders);
+      }
+    }
+
+    log.info({ roomId, userId: peer.userId, socketId, previousSocketId }, 'Resumed in SFU room');
+    return peer;
+  }
+
+  /**
+   * Broadcasters publish media; everyone else subscribes
+   */
+  isPublisher(peer) {
+    return peer.userType === 'broadcaster';
+  }
+
+  /**
+   * Get publishing peers in a room
+   */
+  getPublishers(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      return [];
+    }
+    return Array.from(room.values()).filter(peer => this.isPublisher(peer));
+  }
+
+  /**
+   * Get subscribing peers in a room
+   */
+  getSubscribers(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) {
+      return [];
+    }
+    return Array.from(room.values()).filter(peer => !this.isPublisher(peer));
+  }
+
+  /**
+   * Handle a publish offer from a broadcaster and return the answer
+   */
+  async handlePublishOffer(roomId, socketId, offer) {
+    const peer = this.getPeer(roomId, socketId);
+    if (!peer) {
+      throw new Error('Not in an SFU room');
+    }
+    if (!this.isPublisher(peer)) {
+      throw new Error('Only broadcasters can publish in SFU rooms');
+    }
+
+    await peer.pc.setRemoteDescription(new RTCSessionDescription(offer));
+    const answer = await peer.pc.createAnswer();
+    await peer.pc.setLocalDescription(answer);
+
+    log.info({ roomId, userId: peer.userId, socketId }, 'Publish offer answered');
+
+    return {
+      type: peer.pc.localDescription.type,
+      sdp: peer.pc.localDescription.sdp,
+    };
+  }
+
+  /**
+   * Handle a new track from a broadcaster: fan it out to every viewer
+   */
+  handlePublishedTrack(publisher, track) {
+    log.info({ roomId: publisher.roomId, userId: publisher.userId, kind: track.kind }, 'Track published');
+    publisher.tracks.push(track);
+
+    track.onended = () => {
+      log.info({ roomId: publisher.roomId, userId: publisher.userId, kind: track.kind }, 'Published track ended');
+      publisher.tracks = publisher.tracks.filter(t => t !== track);
+      for (const subscriber of this.getSubscribers(publisher.roomId)) {
+        this.unsubscribe(subscriber, publisher);
+        this.subscribe(subscriber, publisher);
+        this.scheduleNegotiation(subscriber);
+      }
+    };
+
+    for (const subscriber of this.getSubscribers(publisher.roomId)) {
+      this.addTrackToSubscriber(subscriber, publisher, track);
+      this.scheduleNegotiation(subscriber);
+    }
+  }
+
+  /**
+   * Forward all of a publisher's tracks to a subscriber
+   */
+  subscribe(subscriber, publisher) {
+    for (const track of publisher.tracks) {
+      this.addTrackToSubscriber(subscriber, publisher, track);
+    }
+  }
+
+  /**
+   * Forward one track to a subscriber
+   */
+  addTrackToSubscriber(subscriber, publisher, track) {
+    try {
+      const sender = subscriber.pc.addTrack(track);
+      if (!subscriber.senders.has(publisher.socketId)) {
+        subscriber.senders.set(publisher.socketId, []);
+      }
+      subscriber.senders.get(publisher.socketId).push(sender);
+    } catch (error) {
+      log.error({ err: error, roomId: subscriber.roomId, userId: subscriber.userId, kind: track.kind }, 'Error forwarding track');
+    }
+  }
+
+  /**
+   * Stop forwarding a publisher's tracks to a subscriber
+   */
+  unsubscribe(subscriber, publisher) {
+    const senders = subscriber.senders.get(publisher.socketId) || [];
+    for (const sender of senders) {
+      try {
+        subscriber.pc.removeTrack(sender);
+      } catch (error) {
+        log.error({ err: error, roomId: subscriber.roomId, userId: subscriber.userId }, 'Error removing track');
+      }
+    }
+    subscriber.senders.delete(publisher.socketId);
+  }
+
+  /**
+   * Describe which publisher each negotiated m-line belongs to
+   */
+  describeTracks(subscriber) {
+    const room = this.rooms.get(subscriber.roomId);
+    const tracks = [];
+
+    for (const [publisherSocketId, senders] of subscriber.senders) {
+      const publisher = room?.get(publisherSocketId);
+      if (!publisher) {
+        continue;
+      }
+
+      for (const sender of senders) {
+        const transceiver = subscriber.pc.getTransceivers().find(t => t.sender === sender);
+        if (transceiver && sender.track) {
+          tracks.push({
+            mid: transceiver.mid,
+            kind: sender.track.kind,
+            userId: publisher.userId,
+          });
+        }
+      }
+    }
+
+    return tracks;
+  }
+
+  /**
+   * Coalesce renegotiation: several tracks usually change in the same tick
+   */
+  scheduleNegotiation(subscriber) {
+    if (subscriber.negotiationScheduled) {
+      return;
+    }
+
+    subscriber.negotiationScheduled = true;
+    setImmediate(() => {
+      subscriber.negotiationScheduled = false;
+      this.negotiate(subscriber).catch((error) => {
+        log.error({ err: error, roomId: subscriber.roomId, userId: subscriber.userId }, 'Negotiation failed');
+      });
+    });
+  }
+
+  /**
+   * Send a fresh offer to a subscriber (server is always the offerer for viewers)
+   */
+  async negotiate(subscriber) {
+    if (this.getPeer(subscriber.roomId, subscriber.socketId) !== subscriber) {
+      return;
+    }
+
+    if (subscriber.negotiating) {
+      subscriber.negotiationPending = true;
+      return;
+    }
+
+    // An offer without tracks has no m-lines to connect over; the first one
+    // goes out once a broadcaster publishes
+    if (subscriber.senders.size === 0 && !subscriber.pc.remoteDescription) {
+      return;
+    }
+
+    subscriber.negotiating = true;
+    subscriber.negotiationPending = false;
+
+    try {
+      const offer = await subscriber.pc.createOffer();
+      await subscriber.pc.setLocalDescription(offer);
+    } catch (error) {
+      subscriber.negotiating = false;
+      throw error;
+    }
+
+    log.debug({ roomId: subscriber.roomId, userId: subscriber.userId, socketId: subscriber.socketId }, 'Sending offer');
+    subscriber.emit('sfu-offer', {
+      roomId: subscriber.roomId,
+      offer: {
+        type: subscriber.pc.localDescription.type,
+        sdp: subscriber.pc.localDescription.sdp,
+      },
+      tracks: this.describeTracks(subscriber),
+    });
+
+    // A viewer that never answers must not block later offers
+    subscriber.answerTimer = setTimeout(() => {
+      subscriber.answerTimer = null;
+      if (!subscriber.negotiating) {
+        return;
+      }
+
+      log.warn({ roomId: subscriber.roomId, userId: subscriber.userId, socketId: subscriber.socketId }, 'No answer to SFU offer');
+      subscriber.negotiating = false;
+      if (subscriber.negotiationPending) {
+        this.scheduleNegotiation(subscriber);
+      }
+    }, this.answerTimeoutMs);
+    subscriber.answerTimer.unref();
+  }
+
+  /**
+   * Handle a subscriber's answer to a server offer
+   */
+  async handleAnswer(roomId, socketId, answer) {
+    const peer = this.getPeer(roomId, socketId);
+    if (!peer || !peer.negotiating) {
+      throw new Error('No SFU negotiation in progress');
+    }
+
+    await peer.pc.setRemoteDescription(new RTCSessionDescription(answer));
+    clearTimeout(peer.answerTimer);
+    peer.answerTimer = null;
+    peer.negotiating = false;
+
+    if (peer.negotiationPending) {
+      this.scheduleNegotiation(peer);
+    }
+  }
+
+  /**
+   * Handle ICE candidate from a participant
+   */
+  async handleIceCandidate(roomId, socketId, candidate) {
+    const peer = this.getPeer(roomId, socketId);
+    if (!peer) {
+      return false;
+    }
+
+    try {
+      await peer.pc.addIceCandidate(new RTCIceCandidate(candidate));
+      return true;
+    } catch (error) {
+      log.error({ err: error, roomId, userId: peer.userId, socketId }, 'Error adding ICE candidate');
+      return false;
+    }
+  }
+
+  /**
+   * Remove a participant, closing its peer and renegotiating with viewers
+   */
+  leave(roomId, socketId) {
+    const peer = this.getPeer(roomId, socketId);
+    if (!peer) {
+      return;
+    }
+
+    const room = this.rooms.get(roomId);
+    room.delete(socketId);
+    clearTimeout(peer.answerTimer);
+
+    if (this.isPublisher(peer)) {
+      for (const subscriber of this.getSubscribers(peer.roomId)) {
+        this.unsubscribe(subscriber, peer);
+        this.scheduleNegotiation(subscriber);
+      }
+    }
+
+    try {
+      peer.pc.close();
+    } catch (error) {
+      log.error({ err: error, roomId, userId: peer.userId }, 'Error closing peer connection');
+    }
+
+    if (room.size === 0) {
+      this.rooms.delete(peer.roomId);
+      log.info({ roomId }, 'SFU room closed');
+    }
+
+    log.info({ roomId, userId: peer.userId, socketId }, 'Left SFU room');
+  }
+}
+
+export default new RoomSFU();
@@ -0,0 +1,109 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sfu from './RoomSFU.js';
+
+/**
+ * A viewer peer with a stand-in for its RTCPeerConnection
+ */
+function addViewer(roomId, socketId) {
+  const offers = [];
+  const peer = {
+    socketId,
+    roomId,
+    userId: socketId,
+    userType: 'viewer',
+    pc: {
+      remoteDescription: null,
+      localDescription: null,
+      async createOffer() {
+        return { type: 'offer', sdp: 'v=0\r\n' };
+      },
+      async setLocalDescription(description) {
+        this.localDescription = description;
+      },
+      getTransceivers: () => [],
+    },
+    emit: (event, payload) => offers.push({ event, payload }),
+    tracks: [],
+    senders: new Map(),
+    negotiating: false,
+    negotiationPending: false,
+    negotiationScheduled: false,
+  };
+
+  sfu.rooms.set(roomId, new Map([[socketId, peer]]));
+  return { peer, offers };
+}
+
+describe('SFU viewer negotiation', () => {
+  const answerTimeoutMs = sfu.answerTimeoutMs;
+
+  afterEach(() => {
+    for (const room of sfu.rooms.values()) {
+      for (const peer of room.values()) {
+        clearTimeout(peer.answerTimer);
+      }
+    }
+    sfu.rooms.clear();
+    sfu.answerTimeoutMs = answerTimeoutMs;
+  });
+
+  test('a viewer who joins before any broadcaster gets no empty offer', async () => {
+    const { peer, offers } = addViewer('room-1', 'viewer-1');
+
+    await sfu.negotiate(peer);
+
+    assert.deepEqual(offers, []);
+    assert.equal(peer.negotiating, false);
+  });
+
+  test('the first offer goes out once a track is forwarded', async () => {
+    const { peer, offers } = addViewer('room-1', 'viewer-1');
+    peer.senders.set('broadcaster-1', [{}]);
+
+    await sfu.negotiate(peer);
+
+    assert.equal(offers.length, 1);
+    assert.equal(offers[0].event, 'sfu-offer');
+    assert.equal(peer.negotiating, true);
+  });
+
+  test('a negotiated viewer is offered the removal of the last track', async () => {
+    const { peer, offers } = addViewer('room-1', 'viewer-1');
+    peer.pc.remoteDescription = { type: 'answer', sdp: 'v=0\r\n' };
+
+    await sfu.negotiate(peer);
+
+    assert.equal(offers.length, 1);
+  });
+
+  test('a failed offer does not leave the viewer negotiating', async () => {
+    const { peer, offers } = addViewer('room-1', 'viewer-1');
+    peer.senders.set('broadcaster-1', [{}]);
+    peer.pc.createOffer = async () => {
+      throw new Error('createOffer failed');
+    };
+
+    await assert.rejects(sfu.negotiate(peer), /createOffer failed/);
+
+    assert.equal(peer.negotiating, false);
+    assert.deepEqual(offers, []);
+  });
+
+  test('an unanswered offer times out and pending changes are offered again', async () => {
+    sfu.answerTimeoutMs = 10;
+    const { peer, offers } = addViewer('room-1', 'viewer-1');
+    peer.senders.set('broadcaster-1', [{}]);
+
+    await sfu.negotiate(peer);
+    await sfu.negotiate(peer);
+    assert.equal(offers.length, 1);
+    assert.equal(peer.negotiationPending, true);
+
+    // The answer timer is unref'd, so this one keeps the test alive
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(offers.length, 2);
+    assert.equal(peer.negotiationPending, false);
+  });
+});
@@ -0,0 +1,131 @@
+// Relay Queue
+//
+// Short-lived per-room buffer for signaling addressed to a user who is not
+// in the room yet (or is reconnecting). Trickle ICE candidates often arrive
+// a few milliseconds before the target finishes join-room; instead of being
+// dropped they are held for SIGNALING_QUEUE_MS and delivered, in order, as
+// soon as the target joins or resumes. Disabled when SIGNALING_QUEUE_MS is 0
+// (the default).
+
+import { EventEmitter } from 'events';
+
+const MAX_MESSAGES_PER_TARGET = 100;
+const MAX_MESSAGES_PER_ROOM = 500;
+
+/**
+ * Relay Queue
+ *
+ * Emits:
+ *   - 'expired' (message)   a queued message's target did not join in time
+ */
+class RelayQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.rooms = new Map(); // roomId -> Map(targetUserId -> [message])
+    this.windowMs = parseInt(process.env.SIGNALING_QUEUE_MS ?? '0', 10);
+  }
+
+  get enabled() {
+    return this.windowMs > 0;
+  }
+
+  /**
+   * Hold a message for targetUserId in roomId
+   *
+   * `message` is { event, payload, messageId, senderSocketId, ... }.
+   * Returns false when queueing is disabled or the queue is full.
+   */
+  enqueue(roomId, targetUserId, message) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    const room = this.rooms.get(roomId) || new Map();
+    const queued = room.get(targetUserId) || [];
+    const roomSize = Array.from(room.values()).reduce((total, messages) => total + messages.length, 0);
+    if (queued.length >= MAX_MESSAGES_PER_TARGET || roomSize >= MAX_MESSAGES_PER_ROOM) {
+      return false;
+    }
+
+    const entry = { ...message, roomId, targetUserId, queuedAt: Date.now() };
+    entry.expiryTimer = setTimeout(() => this.expire(entry), this.windowMs);
+    entry.expiryTimer.unref();
+
+    queued.push(entry);
+    room.set(targetUserId, queued);
+    this.rooms.set(roomId, room);
+    return true;
+  }
+
+  /**
+   * Remove and return the messages waiting for targetUserId, oldest first
+   */
+  take(roomId, targetUserId) {
+    const room = this.rooms.get(roomId);
+    const queued = room?.get(targetUserId);
+    if (!queued) {
+      return [];
+    }
+
+    room.delete(targetUserId);
+    if (room.size === 0) {
+      this.rooms.delete(roomId);
+    }
+
+    for (const entry of queued) {
+      clearTimeout(entry.expiryTimer);
+    }
+    return queued.map(({ expiryTimer, ...message }) => message);
+  }
+
+  /**
+   * Drop everything queued in a room (e.g. when it is closed)
+   */
+  dropRoom(roomId) {
+    for (const queued of this.rooms.get(roomId)?.values() || []) {
+      for (const entry of queued) {
+        clearTimeout(entry.expiryTimer);
+      }
+    }
+    this.rooms.delete(roomId);
+  }
+
+  expire(entry) {
+    const room = this.rooms.get(entry.roomId);
+    const queued = room?.get(entry.targetUserId);
+    if (!queued) {
+      return;
+    }
+
+    const index = queued.indexOf(entry);
+    if (index === -1) {
+      return;
+    }
+
+    queued.splice(index, 1);
+    if (queued.length === 0) {
+      room.delete(entry.targetUserId);
+      if (room.size === 0) {
+        this.rooms.delete(entry.roomId);
+      }
+    }
+
+    const { expiryTimer, ...message } = entry;
+    this.emit('expired', message);
+  }
+
+  /**
+   * Number of messages waiting, across all rooms
+   */
+  getSize() {
+    let size = 0;
+    for (const room of this.rooms.values()) {
+      for (const queued of room.values()) {
+        size += queued.length;
+      }
+    }
+    return size;
+  }
+}
+
+export default new RelayQueue();
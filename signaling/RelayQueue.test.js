@@ -0,0 +1,77 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import queue from './RelayQueue.js';
+
+const candidate = index => ({ event: 'ice-candidate', payload: { index }, messageId: `m-${index}`, senderSocketId: 's1' });
+
+describe('relay queue', () => {
+  const windowMs = queue.windowMs;
+
+  beforeEach(() => {
+    queue.windowMs = 1000;
+  });
+
+  afterEach(() => {
+    for (const roomId of Array.from(queue.rooms.keys())) {
+      queue.dropRoom(roomId);
+    }
+    queue.windowMs = windowMs;
+  });
+
+  test('is off while SIGNALING_QUEUE_MS is 0', () => {
+    queue.windowMs = 0;
+    assert.equal(queue.enqueue('room-1', 'bob', candidate(1)), false);
+    assert.equal(queue.getSize(), 0);
+  });
+
+  test('take() hands out a target\'s messages oldest first, once', () => {
+    for (let index = 1; index <= 3; index++) {
+      assert.equal(queue.enqueue('room-1', 'bob', candidate(index)), true);
+    }
+    queue.enqueue('room-1', 'carol', candidate(4));
+
+    const taken = queue.take('room-1', 'bob');
+    assert.deepEqual(taken.map(message => message.messageId), ['m-1', 'm-2', 'm-3']);
+    assert.equal(taken[0].targetUserId, 'bob');
+    assert.equal(taken[0].roomId, 'room-1');
+    assert.equal('expiryTimer' in taken[0], false);
+
+    assert.deepEqual(queue.take('room-1', 'bob'), []);
+    assert.equal(queue.getSize(), 1);
+  });
+
+  test('holds at most 100 messages per target', () => {
+    for (let index = 0; index < 100; index++) {
+      assert.equal(queue.enqueue('room-1', 'bob', candidate(index)), true);
+    }
+
+    assert.equal(queue.enqueue('room-1', 'bob', candidate(100)), false);
+    assert.equal(queue.enqueue('room-1', 'carol', candidate(101)), true);
+  });
+
+  test('holds at most 500 messages per room', () => {
+    for (let index = 0; index < 500; index++) {
+      assert.equal(queue.enqueue('room-1', `user-${index % 5}`, candidate(index)), true);
+    }
+
+    assert.equal(queue.enqueue('room-1', 'someone-else', candidate(500)), false);
+    assert.equal(queue.enqueue('room-2', 'bob', candidate(501)), true);
+    assert.equal(queue.getSize(), 501);
+  });
+
+  test('messages whose target never joins expire', async () => {
+    queue.windowMs = 10;
+    const expired = once(queue, 'expired');
+    queue.enqueue('room-1', 'bob', candidate(1));
+
+    // The expiry timer is unref'd, so this one keeps the test alive
+    await new Promise(resolve => setTimeout(resolve, 30));
+    const [message] = await expired;
+
+    assert.equal(message.messageId, 'm-1');
+    assert.equal(message.targetUserId, 'bob');
+    assert.equal(queue.getSize(), 0);
+    assert.deepEqual(queue.take('room-1', 'bob'), []);
+  });
+});
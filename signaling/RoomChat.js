@@ -0,0 +1,120 @@
+// Room Chat
+//
+// Text chat and emoji reactions for signaling rooms:
+//   - chat messages get a server-assigned id and timestamp; the sender's
+//     identity comes from their room membership, never from the payload
+//   - the latest CHAT_HISTORY_SIZE messages per room (default 50) are kept in
+//     the state store and sent to late joiners; an emptied room loses them
+//   - reactions are counted per room and sent as one aggregated burst every
+//     REACTION_WINDOW_MS (default 1000) instead of one event per tap
+//   - authors can delete their own messages; broadcasters and admins can
+//     delete any message in the room (delete-message event), and the admin
+//     API can delete any message (DELETE /admin/rooms/:roomId/messages/:id)
+
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import stateStore from '../state/StateStore.js';
+
+const MODERATOR_ROLES = ['broadcaster', 'admin'];
+const MAX_REACTION_KINDS = 20;
+
+/**
+ * Room Chat
+ *
+ * Emits:
+ *   - 'message' (message)                  a chat message was posted
+ *   - 'message-deleted' (message, deletedBy)
+ *   - 'reactions' ({ roomId, reactions })  aggregated counts, emoji -> count
+ */
+class RoomChat extends EventEmitter {
+  constructor() {
+    super();
+    this.historySize = parseInt(process.env.CHAT_HISTORY_SIZE ?? '50', 10);
+    this.reactionWindowMs = parseInt(process.env.REACTION_WINDOW_MS ?? '1000', 10);
+    this.pendingReactions = new Map(); // roomId -> { counts: Map(emoji -> count), timer }
+  }
+
+  /**
+   * Post a chat message from a room member
+   */
+  async postMessage(member, text, name) {
+    const message = {
+      messageId: randomUUID(),
+      roomId: member.roomId,
+      userId: member.userId,
+      userType: member.userType,
+      ...(name && { name }),
+      text,
+      sentAt: new Date().toISOString(),
+    };
+
+    if (this.historySize > 0) {
+      await stateStore.addChatMessage(member.roomId, message, this.historySize);
+    }
+    this.emit('message', message);
+    return message;
+  }
+
+  async getHistory(roomId) {
+    return this.historySize > 0 ? stateStore.getChatHistory(roomId) : [];
+  }
+
+  /**
+   * Whether a member may delete a message
+   */
+  canDelete(member, message) {
+    return message.userId === member.userId || MODERATOR_ROLES.includes(member.userType);
+  }
+
+  /**
+   * Delete a message from the history on behalf of `deletedBy`
+   * ({ userId, userType }, or { userId: 'admin' } for the admin API).
+   * Returns the deleted message, or null if it is not in the history.
+   */
+  async deleteMessage(roomId, messageId, deletedBy) {
+    const message = await stateStore.removeChatMessage(roomId, messageId);
+    if (message) {
+      this.emit('message-deleted', message, deletedBy);
+    }
+    return message;
+  }
+
+  async findMessage(roomId, messageId) {
+    return (await this.getHistory(roomId)).find(message => message.messageId === messageId) || null;
+  }
+
+  /**
+   * Count a reaction; counts are emitted once the room's window closes
+   *
+   * Returns false when the room already has MAX_REACTION_KINDS distinct
+   * emoji pending.
+   */
+  addReaction(roomId, emoji) {
+    let pending = this.pendingReactions.get(roomId);
+    if (!pending) {
+      pending = { counts: new Map(), timer: null };
+      pending.timer = setTimeout(() => this.flushReactions(roomId), this.reactionWindowMs);
+      pending.timer.unref();
+      this.pendingReactions.set(roomId, pending);
+    }
+
+    if (!pending.counts.has(emoji) && pending.counts.size >= MAX_REACTION_KINDS) {
+      return false;
+    }
+    pending.counts.set(emoji, (pending.counts.get(emoji) || 0) + 1);
+    return true;
+  }
+
+  flushReactions(roomId) {
+    const pending = this.pendingReactions.get(roomId);
+    if (!pending) {
+      return;
+    }
+
+    this.pendingReactions.delete(roomId);
+    clearTimeout(pending.timer);
+    this.emit('reactions', { roomId, reactions: Object.fromEntries(pending.counts) });
+  }
+}
+
+export default new RoomChat();
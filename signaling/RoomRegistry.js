@@ -0,0 +1,366 @@
+// Room Registry
+//
+// Indexed membership store for Socket.IO signaling rooms:
+//   - O(1) lookup of a member by (roomId, userId) for relaying signaling
+//   - O(1) lookup of a socket's memberships; one socket may be in several rooms
+//   - a userId is unique within a room: joining again replaces the stale socket
+//   - rooms are removed as soon as their last member leaves
+//   - a disconnected member keeps its slot for a grace window and can resume
+//     it from a new socket with the resume token issued on join
+//
+// Memberships are written through to the shared state store so other nodes
+// can find members connected here. The store keeps a hash of each resume
+// token, so a member can resume through any node.
+
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { EventEmitter } from 'events';
+import stateStore from '../state/StateStore.js';
+import { createLogger } from '../logging/logger.js';
+
+const log = createLogger('signaling');
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Room Registry
+ *
+ * Emits:
+ *   - 'member-expired' (member)   a disconnected member's grace window ran out
+ *   - 'member-added' (member)     a userId joined a room (not on resume or
+ *                                 when a new socket takes over the userId)
+ *   - 'member-removed' (member)   a userId left a room (after any grace window)
+ *   - 'room-created' (roomId)     the first member joined, on any node
+ *   - 'room-emptied' (roomId)     the last member left, on any node
+ */
+class RoomRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.rooms = new Map(); // roomId -> Map(userId -> member)
+    this.sockets = new Map(); // socketId -> Map(roomId -> member)
+    this.resumeTokens = new Map(); // resumeToken -> member
+    this.gracePeriodMs = parseInt(process.env.RECONNECT_GRACE_MS ?? '15000', 10);
+  }
+
+  /**
+   * Add a socket to a room as userId
+   *
+   * Returns { member, replaced } where `replaced` is the previous member with
+   * the same userId on another socket (now removed), or null.
+   */
+  join(roomId, socketId, { userId, userType }) {
+    let room = this.rooms.get(roomId);
+    if (!room) {
+      room = new Map();
+      this.rooms.set(roomId, room);
+    }
+
+    // The same socket re-joining under a different userId drops the old entry
+    const existing = this.getMembership(socketId, roomId);
+    if (existing && existing.userId !== userId) {
+      room.delete(existing.userId);
+      this.releaseMember(existing);
+      this.unpersist(existing);
+      this.emit('member-removed', existing);
+    }
+
+    let replaced = null;
+    const previous = room.get(userId);
+    if (previous) {
+      this.releaseMember(previous);
+      if (previous.socketId !== socketId) {
+        replaced = previous;
+        this.unindexSocket(previous.socketId, roomId);
+      }
+    }
+
+    const member = {
+      roomId,
+      socketId,
+      userId,
+      userType,
+      joinedAt: previous && previous.socketId === socketId ? previous.joinedAt : new Date().toISOString(),
+      resumeToken: randomBytes(24).toString('base64url'),
+      disconnectedAt: null,
+      expiryTimer: null,
+    };
+
+    room.set(userId, member);
+    this.resumeTokens.set(member.resumeToken, member);
+    this.indexSocket(socketId, member);
+    this.persist(member);
+    if (!previous) {
+      this.emit('member-added', member);
+    }
+
+    return { member, replaced };
+  }
+
+  /**
+   * Move a member to a new socket using its resume token
+   *
+   * Works both within the grace window after a disconnect and while the old
+   * socket still looks connected (the server may not have noticed it dropped).
+   * The resume token is rotated. Resolves to { member, previousSocketId,
+   * previousNodeId } or null if the token is unknown, expired or for another
+   * room or user. `previousNodeId` is set when the member was connected to
+   * another node, which should then hand it off (see handOff).
+   */
+  async resume(roomId, socketId, userId, resumeToken) {
+    const member = this.resumeTokens.get(resumeToken);
+    if (!member) {
+      return stateStore.isShared ? this.resumeRemote(roomId, socketId, userId, resumeToken) : null;
+    }
+    if (member.roomId !== roomId || member.userId !== userId) {
+      return null;
+    }
+
+    const previousSocketId = member.socketId;
+    this.releaseMember(member);
+    this.unindexSocket(previousSocketId, roomId);
+
+    member.socketId = socketId;
+    member.disconnectedAt = null;
+    member.resumeToken = randomBytes(24).toString('base64url');
+    this.resumeTokens.set(member.resumeToken, member);
+    this.indexSocket(socketId, member);
+    this.persist(member);
+
+    return { member, previousSocketId, previousNodeId: null };
+  }
+
+  /**
+   * Resume a member whose slot is held by another node
+   */
+  async resumeRemote(roomId, socketId, userId, resumeToken) {
+    const stored = await stateStore.getMember(roomId, userId);
+    if (!stored || stored.nodeId === stateStore.nodeId || !stored.resumeTokenHash) {
+      return null;
+    }
+
+    const expected = Buffer.from(stored.resumeTokenHash);
+    const actual = Buffer.from(hashToken(resumeToken));
+    if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    let room = this.rooms.get(roomId);
+    if (!room) {
+      room = new Map();
+      this.rooms.set(roomId, room);
+    }
+
+    const member = {
+      roomId,
+      socketId,
+      userId,
+      userType: stored.userType,
+      joinedAt: stored.joinedAt,
+      resumeToken: randomBytes(24).toString('base64url'),
+      disconnectedAt: null,
+      expiryTimer: null,
+    };
+
+    room.set(userId, member);
+    this.resumeTokens.set(member.resumeToken, member);
+    this.indexSocket(socketId, member);
+    this.persist(member);
+
+    return { member, previousSocketId: stored.socketId, previousNodeId: stored.nodeId };
+  }
+
+  /**
+   * Forget a member that resumed on another node. Unlike evict, the shared
+   * store is left alone (the other node owns the entry now) and no
+   * 'member-removed' is emitted, since the user never left. Returns the
+   * member or null.
+   */
+  handOff(roomId, userId, socketId) {
+    const member = this.getMember(roomId, userId);
+    if (!member || member.socketId !== socketId) {
+      return null;
+    }
+
+    this.releaseMember(member);
+    this.unindexSocket(socketId, roomId);
+    const room = this.rooms.get(roomId);
+    room.delete(userId);
+    if (room.size === 0) {
+      this.rooms.delete(roomId);
+    }
+    return member;
+  }
+
+  /**
+   * Handle a socket disconnect: its memberships are kept for the grace window
+   * and expire afterwards. Returns the affected members.
+   */
+  disconnect(socketId) {
+    if (this.gracePeriodMs <= 0) {
+      return this.leaveAll(socketId);
+    }
+
+    const members = this.getSocketMemberships(socketId);
+    this.sockets.delete(socketId);
+
+    for (const member of members) {
+      member.disconnectedAt = new Date().toISOString();
+      this.persist(member);
+      member.expiryTimer = setTimeout(() => {
+        member.expiryTimer = null;
+        this.removeMember(member);
+        this.emit('member-expired', member);
+      }, this.gracePeriodMs);
+    }
+
+    return members;
+  }
+
+  /**
+   * Remove a socket from a room. Returns the removed member or null.
+   */
+  leave(roomId, socketId) {
+    const member = this.getMembership(socketId, roomId);
+    if (!member) {
+      return null;
+    }
+
+    this.unindexSocket(socketId, roomId);
+    this.removeMember(member);
+    return member;
+  }
+
+  /**
+   * Remove a member if it still belongs to the given socket (e.g. after another
+   * node took over its userId). Returns the removed member or null.
+   */
+  evict(roomId, userId, socketId) {
+    const member = this.getMember(roomId, userId);
+    if (!member || member.socketId !== socketId) {
+      return null;
+    }
+
+    this.unindexSocket(socketId, roomId);
+    this.removeMember(member);
+    return member;
+  }
+
+  /**
+   * Remove a socket from every room. Returns the removed members.
+   */
+  leaveAll(socketId) {
+    const socketRooms = this.sockets.get(socketId);
+    if (!socketRooms) {
+      return [];
+    }
+    return Array.from(socketRooms.keys()).map(roomId => this.leave(roomId, socketId));
+  }
+
+  /**
+   * Remove a member from its room and forget its resume token
+   */
+  removeMember(member) {
+    this.releaseMember(member);
+
+    const room = this.rooms.get(member.roomId);
+    if (room?.get(member.userId) === member) {
+      room.delete(member.userId);
+      if (room.size === 0) {
+        this.rooms.delete(member.roomId);
+      }
+      this.unpersist(member);
+      this.emit('member-removed', member);
+    }
+  }
+
+  // The shared store decides whether a room was created or emptied, so each
+  // is reported once across all nodes
+  persist(member) {
+    stateStore.addMember({ ...member, resumeTokenHash: hashToken(member.resumeToken) }).then((created) => {
+      if (created) {
+        this.emit('room-created', member.roomId);
+      }
+    }).catch((error) => {
+      log.error({ err: error, roomId: member.roomId, userId: member.userId }, 'Failed to store member');
+    });
+  }
+
+  unpersist(member) {
+    stateStore.removeMember(member.roomId, member.userId, member.socketId).then((emptied) => {
+      if (emptied) {
+        this.emit('room-emptied', member.roomId);
+      }
+    }).catch((error) => {
+      log.error({ err: error, roomId: member.roomId, userId: member.userId }, 'Failed to remove member');
+    });
+  }
+
+  /**
+   * Cancel a member's pending expiry and invalidate its resume token
+   */
+  releaseMember(member) {
+    clearTimeout(member.expiryTimer);
+    member.expiryTimer = null;
+    this.resumeTokens.delete(member.resumeToken);
+  }
+
+  indexSocket(socketId, member) {
+    if (!this.sockets.has(socketId)) {
+      this.sockets.set(socketId, new Map());
+    }
+    this.sockets.get(socketId).set(member.roomId, member);
+  }
+
+  unindexSocket(socketId, roomId) {
+    const socketRooms = this.sockets.get(socketId);
+    socketRooms?.delete(roomId);
+    if (socketRooms?.size === 0) {
+      this.sockets.delete(socketId);
+    }
+  }
+
+  /**
+   * Get a room member by userId
+   */
+  getMember(roomId, userId) {
+    return this.rooms.get(roomId)?.get(userId) || null;
+  }
+
+  /**
+   * Get a socket's membership in a room
+   */
+  getMembership(socketId, roomId) {
+    return this.sockets.get(socketId)?.get(roomId) || null;
+  }
+
+  /**
+   * Get all memberships of a socket
+   */
+  getSocketMemberships(socketId) {
+    return Array.from(this.sockets.get(socketId)?.values() || []);
+  }
+
+  /**
+   * Get the members of a room
+   */
+  getRoomMembers(roomId) {
+    return Array.from(this.rooms.get(roomId)?.values() || []);
+  }
+
+  /**
+   * Number of members in a room
+   */
+  getRoomSize(roomId) {
+    return this.rooms.get(roomId)?.size || 0;
+  }
+
+  /**
+   * Ids of all non-empty rooms
+   */
+  getRoomIds() {
+    return Array.from(this.rooms.keys());
+  }
+}
+
+export default new RoomRegistry();
@@ -0,0 +1,95 @@
+import { test, describe, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import registry from './RoomRegistry.js';
+import stateStore from '../state/StateStore.js';
+
+const viewer = userId => ({ userId, userType: 'viewer' });
+
+describe('room registry with the memory state store', () => {
+  const gracePeriodMs = registry.gracePeriodMs;
+
+  beforeEach(() => {
+    registry.gracePeriodMs = 1000;
+  });
+
+  after(() => {
+    registry.gracePeriodMs = gracePeriodMs;
+  });
+
+  test('a userId joining again replaces its old socket', async () => {
+    const { member: first } = registry.join('dup-room', 's1', viewer('alice'));
+    const { member, replaced } = registry.join('dup-room', 's2', viewer('alice'));
+
+    assert.equal(replaced, first);
+    assert.equal(registry.getMember('dup-room', 'alice'), member);
+    assert.equal(registry.getMembership('s1', 'dup-room'), null);
+    assert.equal(registry.getRoomSize('dup-room'), 1);
+    assert.equal(await registry.resume('dup-room', 's3', 'alice', first.resumeToken), null);
+    assert.equal((await stateStore.getMember('dup-room', 'alice')).socketId, 's2');
+
+    registry.leaveAll('s2');
+  });
+
+  test('one socket can be in several rooms', () => {
+    registry.join('multi-a', 's1', viewer('alice'));
+    registry.join('multi-b', 's1', viewer('alice'));
+
+    assert.deepEqual(registry.getSocketMemberships('s1').map(member => member.roomId), ['multi-a', 'multi-b']);
+
+    registry.leave('multi-a', 's1');
+    assert.deepEqual(registry.getSocketMemberships('s1').map(member => member.roomId), ['multi-b']);
+    assert.equal(registry.getMember('multi-b', 'alice').socketId, 's1');
+
+    assert.equal(registry.leaveAll('s1').length, 1);
+    assert.deepEqual(registry.getSocketMemberships('s1'), []);
+  });
+
+  test('a room is removed when its last member leaves', async () => {
+    registry.join('empty-room', 's1', viewer('alice'));
+    registry.join('empty-room', 's2', viewer('bob'));
+
+    registry.leave('empty-room', 's1');
+    assert.ok(registry.getRoomIds().includes('empty-room'));
+
+    const emptied = once(registry, 'room-emptied');
+    registry.leave('empty-room', 's2');
+    assert.deepEqual(await emptied, ['empty-room']);
+    assert.ok(!registry.getRoomIds().includes('empty-room'));
+    assert.equal(await stateStore.getRoomSize('empty-room'), 0);
+  });
+
+  test('resuming moves the member to the new socket and rotates its token', async () => {
+    const { member } = registry.join('resume-room', 's1', viewer('alice'));
+    const firstToken = member.resumeToken;
+
+    registry.disconnect('s1');
+    assert.ok(member.disconnectedAt);
+
+    const resumed = await registry.resume('resume-room', 's2', 'alice', firstToken);
+    assert.equal(resumed.member, member);
+    assert.equal(resumed.previousSocketId, 's1');
+    assert.equal(member.socketId, 's2');
+    assert.equal(member.disconnectedAt, null);
+    assert.equal(member.expiryTimer, null);
+    assert.notEqual(member.resumeToken, firstToken);
+
+    assert.equal(await registry.resume('resume-room', 's3', 'alice', firstToken), null);
+    assert.equal(await registry.resume('other-room', 's3', 'alice', member.resumeToken), null);
+
+    registry.leaveAll('s2');
+  });
+
+  test('a member can not resume once the grace window has run out', async () => {
+    registry.gracePeriodMs = 20;
+    const { member } = registry.join('expiry-room', 's1', viewer('alice'));
+
+    registry.disconnect('s1');
+    const [expired] = await once(registry, 'member-expired');
+
+    assert.equal(expired, member);
+    assert.equal(registry.getMember('expiry-room', 'alice'), null);
+    assert.equal(await registry.resume('expiry-room', 's2', 'alice', member.resumeToken), null);
+    assert.equal(await stateStore.getMember('expiry-room', 'alice'), null);
+  });
+});
@@ -0,0 +1,76 @@
+// Per-socket rate limiting for signaling events
+//
+// Each socket gets a token bucket per event (burst capacity, refilled at a
+// steady rate per second) plus one shared bucket across all its events.
+// Trickle ICE sends bursts of candidates, so ice-candidate gets a larger
+// bucket than offers and answers. SIGNALING_RATE_LIMITS=off disables
+// limiting (e.g. for load tests).
+
+const EVENT_LIMITS = {
+  'join-room': { capacity: 10, refillPerSecond: 1 },
+  'leave-room': { capacity: 10, refillPerSecond: 1 },
+  offer: { capacity: 20, refillPerSecond: 5 },
+  answer: { capacity: 20, refillPerSecond: 5 },
+  'ice-candidate': { capacity: 200, refillPerSecond: 50 },
+  'stream-type': { capacity: 10, refillPerSecond: 2 },
+  'peer-connection-state': { capacity: 30, refillPerSecond: 10 },
+  'chat-message': { capacity: 10, refillPerSecond: 1 },
+  reaction: { capacity: 30, refillPerSecond: 10 },
+  'delete-message': { capacity: 10, refillPerSecond: 2 },
+  'room-data': { capacity: 50, refillPerSecond: 20 },
+  'sfu-publish': { capacity: 10, refillPerSecond: 1 },
+  'sfu-answer': { capacity: 20, refillPerSecond: 5 },
+  'sfu-ice-candidate': { capacity: 200, refillPerSecond: 50 },
+};
+
+const DEFAULT_LIMIT = { capacity: 20, refillPerSecond: 5 };
+const SOCKET_LIMIT = { capacity: 300, refillPerSecond: 100 };
+
+const enabled = !['off', 'false', '0'].includes((process.env.SIGNALING_RATE_LIMITS || '').toLowerCase());
+
+export class TokenBucket {
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Take one token; false when the bucket is empty
+   */
+  take() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.refillPerSecond);
+    this.updatedAt = now;
+
+    if (this.tokens < 1) {
+      return false;
+    }
+    this.tokens -= 1;
+    return true;
+  }
+}
+
+/**
+ * Rate limiter for one socket: returns allow(event) -> boolean
+ */
+export function createRateLimiter() {
+  if (!enabled) {
+    return () => true;
+  }
+
+  const socketBucket = new TokenBucket(SOCKET_LIMIT);
+  const eventBuckets = new Map();
+
+  return (event) => {
+    // Unknown events share one bucket so arbitrary names can't allocate more
+    const key = EVENT_LIMITS[event] ? event : '*';
+    let bucket = eventBuckets.get(key);
+    if (!bucket) {
+      bucket = new TokenBucket(EVENT_LIMITS[event] || DEFAULT_LIMIT);
+      eventBuckets.set(key, bucket);
+    }
+    return bucket.take() && socketBucket.take();
+  };
+}
@@ -0,0 +1,189 @@
+// Signaling payload validation
+//
+// Every inbound Socket.IO event is checked against a schema before its
+// handler runs. A schema describes the first event argument as a map of
+// field -> rule:
+//
+//   { type: 'string', required: true, maxLength: 128 }
+//   { type: 'object', fields: { ... } }
+//
+// Rules support type (string, number, boolean, object), required, nullable,
+// maxLength (strings), maxBytes (objects, serialized as JSON), enum, pattern
+// and nested fields. Fields not listed
+// in a schema are ignored by handlers and allowed through.
+
+// Room and user ids: non-empty, no control characters
+const ID_RULE = { type: 'string', maxLength: 128, pattern: /^[^\u0000-\u001f\u007f]+$/ };
+const MAX_SDP_LENGTH = 64 * 1024;
+const MAX_CANDIDATE_LENGTH = 1024;
+const MAX_CHAT_LENGTH = 2000;
+const MAX_ROOM_DATA_BYTES = 16 * 1024;
+
+const SESSION_DESCRIPTION = {
+  type: 'object',
+  required: true,
+  fields: {
+    type: { type: 'string', enum: ['offer', 'answer', 'pranswer', 'rollback'] },
+    sdp: { type: 'string', required: true, maxLength: MAX_SDP_LENGTH },
+  },
+};
+
+// An empty candidate string signals end-of-candidates
+const ICE_CANDIDATE = {
+  type: 'object',
+  required: true,
+  fields: {
+    candidate: { type: 'string', required: true, maxLength: MAX_CANDIDATE_LENGTH },
+    sdpMid: { type: 'string', nullable: true, maxLength: 32 },
+    sdpMLineIndex: { type: 'number', nullable: true },
+    usernameFragment: { type: 'string', nullable: true, maxLength: 256 },
+  },
+};
+
+// Client-chosen id echoed to the receiver and in the ack, for deduplication
+const MESSAGE_ID_RULE = { ...ID_RULE, maxLength: 64 };
+
+const CONNECTION_STATES = ['new', 'connecting', 'connected', 'disconnected', 'failed', 'closed'];
+const ICE_CONNECTION_STATES = ['new', 'checking', 'connected', 'completed', 'disconnected', 'failed', 'closed'];
+
+export const EVENT_SCHEMAS = {
+  'join-room': {
+    roomId: { ...ID_RULE, required: true },
+    userId: ID_RULE,
+    userType: { type: 'string', maxLength: 32 },
+    mode: { type: 'string', enum: ['mesh', 'sfu'] },
+    resumeToken: { type: 'string', maxLength: 64 },
+  },
+  'leave-room': {
+    roomId: { ...ID_RULE, required: true },
+  },
+  offer: {
+    roomId: { ...ID_RULE, required: true },
+    targetUserId: { ...ID_RULE, required: true },
+    offer: SESSION_DESCRIPTION,
+    messageId: MESSAGE_ID_RULE,
+  },
+  answer: {
+    roomId: { ...ID_RULE, required: true },
+    targetUserId: { ...ID_RULE, required: true },
+    answer: SESSION_DESCRIPTION,
+    messageId: MESSAGE_ID_RULE,
+  },
+  'ice-candidate': {
+    roomId: { ...ID_RULE, required: true },
+    targetUserId: { ...ID_RULE, required: true },
+    candidate: ICE_CANDIDATE,
+    messageId: MESSAGE_ID_RULE,
+  },
+  'stream-type': {
+    roomId: { ...ID_RULE, required: true },
+    streamType: { type: 'string', required: true, maxLength: 32 },
+    messageId: MESSAGE_ID_RULE,
+  },
+  'peer-connection-state': {
+    roomId: { ...ID_RULE, required: true },
+    targetUserId: { ...ID_RULE, required: true },
+    userId: ID_RULE,
+    connectionState: { type: 'string', required: true, enum: CONNECTION_STATES },
+    iceConnectionState: { type: 'string', enum: ICE_CONNECTION_STATES },
+    messageId: MESSAGE_ID_RULE,
+  },
+  'chat-message': {
+    roomId: { ...ID_RULE, required: true },
+    text: { type: 'string', required: true, maxLength: MAX_CHAT_LENGTH },
+  },
+  reaction: {
+    roomId: { ...ID_RULE, required: true },
+    emoji: { type: 'string', required: true, maxLength: 32, pattern: /^\S+$/u },
+  },
+  'delete-message': {
+    roomId: { ...ID_RULE, required: true },
+    messageId: { ...MESSAGE_ID_RULE, required: true },
+  },
+  'room-data': {
+    roomId: { ...ID_RULE, required: true },
+    targetUserId: ID_RULE,
+    data: { type: 'object', required: true, maxBytes: MAX_ROOM_DATA_BYTES },
+    messageId: MESSAGE_ID_RULE,
+  },
+  'sfu-publish': {
+    roomId: { ...ID_RULE, required: true },
+    offer: SESSION_DESCRIPTION,
+  },
+  'sfu-answer': {
+    roomId: { ...ID_RULE, required: true },
+    answer: SESSION_DESCRIPTION,
+  },
+  'sfu-ice-candidate': {
+    roomId: { ...ID_RULE, required: true },
+    candidate: { ...ICE_CANDIDATE, required: false, nullable: true },
+  },
+};
+
+/**
+ * Check a value against a rule; returns an error message or null
+ */
+function checkRule(rule, value, name) {
+  if (value === undefined) {
+    return rule.required ? `${name} is required` : null;
+  }
+  if (value === null) {
+    return rule.nullable || !rule.required ? null : `${name} must not be null`;
+  }
+
+  if (rule.type === 'object') {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      return `${name} must be an object`;
+    }
+    if (rule.maxBytes !== undefined && Buffer.byteLength(JSON.stringify(value)) > rule.maxBytes) {
+      return `${name} exceeds ${rule.maxBytes} bytes`;
+    }
+    return checkFields(rule.fields || {}, value, `${name}.`);
+  }
+
+  if (typeof value !== rule.type) {
+    return `${name} must be a ${rule.type}`;
+  }
+  if (rule.type === 'number' && !Number.isFinite(value)) {
+    return `${name} must be a finite number`;
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return `${name} exceeds ${rule.maxLength} characters`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${name} must be one of: ${rule.enum.join(', ')}`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return `${name} contains invalid characters`;
+  }
+  return null;
+}
+
+function checkFields(fields, payload, prefix = '') {
+  for (const [field, rule] of Object.entries(fields)) {
+    const error = checkRule(rule, payload[field], prefix + field);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate an event's payload (its first argument)
+ *
+ * Returns null when valid, otherwise { error, code } with code
+ * UNKNOWN_EVENT or INVALID_PAYLOAD.
+ */
+export function validateEvent(event, payload) {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) {
+    return { error: `Unknown event '${event}'`, code: 'UNKNOWN_EVENT' };
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { error: `'${event}' payload must be an object`, code: 'INVALID_PAYLOAD' };
+  }
+
+  const error = checkFields(schema, payload);
+  return error ? { error, code: 'INVALID_PAYLOAD' } : null;
+}
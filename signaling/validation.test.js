@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateEvent } from './validation.js';
+
+const OFFER = { roomId: 'room-1', targetUserId: 'bob', offer: { type: 'offer', sdp: 'v=0\r\n' } };
+
+test('accepts a valid payload', () => {
+  assert.equal(validateEvent('offer', OFFER), null);
+});
+
+test('rejects unknown events', () => {
+  assert.deepEqual(validateEvent('rm-rf', {}), { error: "Unknown event 'rm-rf'", code: 'UNKNOWN_EVENT' });
+});
+
+test('rejects payloads that are not objects', () => {
+  for (const payload of [undefined, null, 'room-1', ['room-1']]) {
+    assert.equal(validateEvent('stream-type', payload)?.code, 'INVALID_PAYLOAD');
+  }
+});
+
+test('reports the first failing field by path', () => {
+  const cases = [
+    [{ ...OFFER, roomId: undefined }, 'roomId is required'],
+    [{ ...OFFER, roomId: 42 }, 'roomId must be a string'],
+    [{ ...OFFER, roomId: 'a\u0000b' }, 'roomId contains invalid characters'],
+    [{ ...OFFER, targetUserId: 'x'.repeat(129) }, 'targetUserId exceeds 128 characters'],
+    [{ ...OFFER, offer: { type: 'bogus', sdp: '' } }, 'offer.type must be one of: offer, answer, pranswer, rollback'],
+    [{ ...OFFER, offer: { type: 'offer' } }, 'offer.sdp is required'],
+  ];
+
+  for (const [payload, error] of cases) {
+    assert.deepEqual(validateEvent('offer', payload), { error, code: 'INVALID_PAYLOAD' });
+  }
+});
+
+test('allows a null end-of-candidates on sfu-ice-candidate only', () => {
+  assert.equal(validateEvent('sfu-ice-candidate', { roomId: 'room-1', candidate: null }), null);
+  assert.equal(
+    validateEvent('ice-candidate', { roomId: 'room-1', targetUserId: 'bob', candidate: null }).error,
+    'candidate must not be null'
+  );
+});
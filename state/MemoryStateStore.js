@@ -0,0 +1,153 @@
+// In-memory State Store
+//
+// Single-node implementation of the shared state store (see StateStore.js).
+// Everything lives in this process, which is all a single replica needs.
+
+/**
+ * In-memory State Store
+ */
+class MemoryStateStore {
+  constructor({ nodeId, nodeUrl }) {
+    this.name = 'memory';
+    this.isShared = false;
+    this.nodeId = nodeId;
+    this.nodeUrl = nodeUrl;
+    this.rooms = new Map(); // roomId -> Map(userId -> member)
+    this.streamOwners = new Map(); // streamId -> nodeId
+    this.chats = new Map(); // roomId -> [chat message], oldest first
+    this.roomModes = new Map(); // roomId -> 'mesh' | 'sfu'
+  }
+
+  async connect() {}
+
+  /**
+   * Always true: the state lives in this process
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Socket.IO adapter for cross-node delivery (none needed on one node)
+   */
+  async createAdapter() {
+    return null;
+  }
+
+  /**
+   * Add or update a member. Resolves to true if this created the room.
+   *
+   * `resumeTokenHash` lets any node check the member's resume token;
+   * `disconnectedAt` is set while the member is in its reconnect grace window.
+   */
+  async addMember({ roomId, socketId, userId, userType, joinedAt, disconnectedAt = null, resumeTokenHash = null }) {
+    const created = !this.rooms.has(roomId);
+    if (created) {
+      this.rooms.set(roomId, new Map());
+    }
+    this.rooms.get(roomId).set(userId, {
+      roomId, socketId, userId, userType, joinedAt, disconnectedAt, resumeTokenHash, nodeId: this.nodeId,
+    });
+    return created;
+  }
+
+  /**
+   * Remove a member, unless the userId has since moved to another socket.
+   * Resolves to true if this emptied the room.
+   */
+  async removeMember(roomId, userId, socketId) {
+    const room = this.rooms.get(roomId);
+    if (room?.get(userId)?.socketId === socketId) {
+      room.delete(userId);
+      if (room.size === 0) {
+        this.rooms.delete(roomId);
+        this.chats.delete(roomId);
+        this.roomModes.delete(roomId);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  async getMember(roomId, userId) {
+    return this.rooms.get(roomId)?.get(userId) || null;
+  }
+
+  async getRoomMembers(roomId) {
+    return Array.from(this.rooms.get(roomId)?.values() || []);
+  }
+
+  async getRoomSize(roomId) {
+    return this.rooms.get(roomId)?.size || 0;
+  }
+
+  async getRoomIds() {
+    return Array.from(this.rooms.keys());
+  }
+
+  /**
+   * Set a room's mode unless the room already has members, whose mode wins.
+   * Resolves to the room's mode as { mode, nodeId, url }.
+   */
+  async claimRoomMode(roomId, mode) {
+    if (!this.rooms.has(roomId) || !this.roomModes.has(roomId)) {
+      this.roomModes.set(roomId, mode);
+    }
+    return { mode: this.roomModes.get(roomId), nodeId: this.nodeId, url: this.nodeUrl };
+  }
+
+  /**
+   * A room's mode as { mode, nodeId, url }, or null for an unknown room
+   */
+  async getRoomMode(roomId) {
+    return this.roomModes.has(roomId)
+      ? { mode: this.roomModes.get(roomId), nodeId: this.nodeId, url: this.nodeUrl }
+      : null;
+  }
+
+  /**
+   * Append a chat message, keeping only the latest `limit` per room
+   */
+  async addChatMessage(roomId, message, limit) {
+    const history = this.chats.get(roomId) || [];
+    history.push(message);
+    if (history.length > limit) {
+      history.splice(0, history.length - limit);
+    }
+    this.chats.set(roomId, history);
+  }
+
+  async getChatHistory(roomId) {
+    return [...(this.chats.get(roomId) || [])];
+  }
+
+  /**
+   * Remove a chat message; returns it, or null if it is not in the history
+   */
+  async removeChatMessage(roomId, messageId) {
+    const history = this.chats.get(roomId) || [];
+    const index = history.findIndex(message => message.messageId === messageId);
+    return index === -1 ? null : history.splice(index, 1)[0];
+  }
+
+  async setStreamOwner(streamId) {
+    this.streamOwners.set(streamId, this.nodeId);
+  }
+
+  async removeStreamOwner(streamId) {
+    if (this.streamOwners.get(streamId) === this.nodeId) {
+      this.streamOwners.delete(streamId);
+    }
+  }
+
+  /**
+   * Node serving a stream: { nodeId, url } or null
+   */
+  async getStreamOwner(streamId) {
+    return this.streamOwners.has(streamId) ? { nodeId: this.nodeId, url: this.nodeUrl } : null;
+  }
+
+  async close() {}
+}
+
+export default MemoryStateStore;
@@ -0,0 +1,333 @@
+// Redis State Store
+//
+// Shared state for running several replicas behind a load balancer. Keys
+// (all under REDIS_PREFIX, default "signaling:"):
+//
+//   room:<roomId>      hash    userId -> member JSON (includes nodeId and
+//                              the resume token's hash)
+//   rooms              set     roomIds with members
+//   mode:<roomId>      string  { mode, nodeId } JSON, 'mesh' or 'sfu'
+//   stream:<streamId>  string  nodeId owning the bridge stream, expires
+//                              unless heartbeated
+//   chat:<roomId>      list    recent chat messages (JSON), oldest first
+//   node:<nodeId>      string  { url } JSON, expires unless heartbeated
+//
+// Entries written by a node that stopped heartbeating are ignored, so a
+// crashed replica's rooms and streams disappear once its node key expires.
+// Live nodes also sweep members of dead ones out of the room hashes.
+
+import { createLogger, redactUrl } from '../logging/logger.js';
+
+const log = createLogger('state');
+
+const NODE_TTL_SECONDS = 30;
+const HEARTBEAT_INTERVAL_MS = 10000;
+
+// Delete a member only if it still belongs to the given socket; an empty
+// room also loses its chat history and mode. Returns 1 if this call emptied
+// the room.
+const REMOVE_MEMBER_SCRIPT = `
+local value = redis.call('HGET', KEYS[1], ARGV[1])
+if value and cjson.decode(value).socketId == ARGV[2] then
+  redis.call('HDEL', KEYS[1], ARGV[1])
+end
+if redis.call('HLEN', KEYS[1]) == 0 then
+  redis.call('DEL', KEYS[3], KEYS[4])
+  return redis.call('SREM', KEYS[2], ARGV[3])
+end
+return 0
+`;
+
+// Delete a key only if it still holds the given value
+const DELETE_IF_EQUAL_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Redis State Store
+ */
+class RedisStateStore {
+  constructor({ nodeId, nodeUrl, url, prefix }) {
+    this.name = 'redis';
+    this.isShared = true;
+    this.nodeId = nodeId;
+    this.nodeUrl = nodeUrl;
+    this.url = url;
+    this.prefix = prefix;
+    this.client = null;
+    this.adapterClients = [];
+    this.heartbeatTimer = null;
+    this.ownedStreams = new Set(); // streamIds whose owner key this node refreshes
+  }
+
+  key(...parts) {
+    return this.prefix + parts.join(':');
+  }
+
+  /**
+   * Connect, register this node and start heartbeating
+   */
+  async connect() {
+    // Loaded on demand so single-node deployments don't need the package
+    const { createClient } = await import('redis');
+
+    // Fail commands while disconnected instead of queueing them, so callers
+    // can report the outage rather than hang until Redis comes back
+    this.client = createClient({ url: this.url, disableOfflineQueue: true });
+    this.client.on('error', (error) => {
+      log.error({ err: error }, 'Redis error');
+    });
+    await this.client.connect();
+
+    await this.heartbeat();
+    await this.removeNodeMembers();
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat()
+        .then(() => this.removeDeadMembers())
+        .catch((error) => {
+          log.error({ err: error, nodeId: this.nodeId }, 'Heartbeat failed');
+        });
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeatTimer.unref();
+
+    log.info({ nodeId: this.nodeId, url: redactUrl(this.url) }, 'Connected to Redis');
+  }
+
+  /**
+   * Refresh this node's key and the owner keys of its bridge streams
+   */
+  async heartbeat() {
+    const multi = this.client.multi()
+      .set(this.key('node', this.nodeId), JSON.stringify({ url: this.nodeUrl }), { EX: NODE_TTL_SECONDS });
+    for (const streamId of this.ownedStreams) {
+      multi.expire(this.key('stream', streamId), NODE_TTL_SECONDS);
+    }
+    await multi.exec();
+  }
+
+  /**
+   * Remove the members `select(members)` picks, room by room
+   */
+  async removeMembers(select) {
+    for (const roomId of await this.client.sMembers(this.key('rooms'))) {
+      const entries = await this.client.hGetAll(this.key('room', roomId));
+      const members = Object.values(entries).map(value => JSON.parse(value));
+      for (const member of await select(members)) {
+        await this.removeMember(roomId, member.userId, member.socketId);
+      }
+    }
+  }
+
+  /**
+   * Drop members left over from a previous run with the same NODE_ID
+   */
+  removeNodeMembers() {
+    return this.removeMembers(members => members.filter(member => member.nodeId === this.nodeId));
+  }
+
+  /**
+   * Drop members of nodes that stopped heartbeating (crashed replicas)
+   */
+  removeDeadMembers() {
+    return this.removeMembers(async (members) => {
+      const live = await this.getLiveNodes(members.map(member => member.nodeId));
+      return members.filter(member => !live.has(member.nodeId));
+    });
+  }
+
+  /**
+   * Socket.IO Redis adapter so room broadcasts and io.to(socketId) reach
+   * sockets connected to other nodes
+   */
+  async createAdapter() {
+    const { createAdapter } = await import('@socket.io/redis-adapter');
+    // The adapter publishes without handling rejections, so its clients
+    // queue commands during an outage instead of failing them
+    const pubClient = this.client.duplicate({ disableOfflineQueue: false });
+    const subClient = this.client.duplicate({ disableOfflineQueue: false });
+    pubClient.on('error', (error) => log.error({ err: error }, 'Redis adapter error'));
+    subClient.on('error', (error) => log.error({ err: error }, 'Redis adapter error'));
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    this.adapterClients = [pubClient, subClient];
+    return createAdapter(pubClient, subClient);
+  }
+
+  /**
+   * Whether Redis is connected; commands fail fast while it is not
+   */
+  isAvailable() {
+    return !!this.client?.isReady;
+  }
+
+  /**
+   * Ids of nodes that are still heartbeating, out of the given ones
+   */
+  async getLiveNodes(nodeIds) {
+    const unique = Array.from(new Set(nodeIds));
+    if (unique.length === 0) {
+      return new Map();
+    }
+
+    const values = await this.client.mGet(unique.map(nodeId => this.key('node', nodeId)));
+    const live = new Map();
+    unique.forEach((nodeId, index) => {
+      if (values[index]) {
+        live.set(nodeId, JSON.parse(values[index]));
+      }
+    });
+    return live;
+  }
+
+  /**
+   * Add or update a member. Resolves to true if this created the room
+   * (on any node).
+   */
+  async addMember({ roomId, socketId, userId, userType, joinedAt, disconnectedAt = null, resumeTokenHash = null }) {
+    await this.client.hSet(
+      this.key('room', roomId),
+      userId,
+      JSON.stringify({ roomId, socketId, userId, userType, joinedAt, disconnectedAt, resumeTokenHash, nodeId: this.nodeId })
+    );
+    return (await this.client.sAdd(this.key('rooms'), roomId)) === 1;
+  }
+
+  /**
+   * Remove a member, unless the userId has since moved to another socket.
+   * Resolves to true if this emptied the room.
+   */
+  async removeMember(roomId, userId, socketId) {
+    const emptied = await this.client.eval(REMOVE_MEMBER_SCRIPT, {
+      keys: [this.key('room', roomId), this.key('rooms'), this.key('chat', roomId), this.key('mode', roomId)],
+      arguments: [userId, socketId, roomId],
+    });
+    return emptied === 1;
+  }
+
+  async getMember(roomId, userId) {
+    const value = await this.client.hGet(this.key('room', roomId), userId);
+    if (!value) {
+      return null;
+    }
+
+    const member = JSON.parse(value);
+    const live = await this.getLiveNodes([member.nodeId]);
+    return live.has(member.nodeId) ? member : null;
+  }
+
+  async getRoomMembers(roomId) {
+    const entries = await this.client.hGetAll(this.key('room', roomId));
+    const members = Object.values(entries).map(value => JSON.parse(value));
+    const live = await this.getLiveNodes(members.map(member => member.nodeId));
+    return members.filter(member => live.has(member.nodeId));
+  }
+
+  async getRoomSize(roomId) {
+    return (await this.getRoomMembers(roomId)).length;
+  }
+
+  /**
+   * Rooms with at least one member on a live node
+   */
+  async getRoomIds() {
+    const roomIds = await this.client.sMembers(this.key('rooms'));
+    const sizes = await Promise.all(roomIds.map(roomId => this.getRoomSize(roomId)));
+    return roomIds.filter((roomId, index) => sizes[index] > 0);
+  }
+
+  /**
+   * Set a room's mode unless the room already has live members, whose mode
+   * wins. Resolves to the room's mode as { mode, nodeId, url }.
+   */
+  async claimRoomMode(roomId, mode) {
+    const current = await this.getRoomMode(roomId);
+    if (current && (await this.getRoomSize(roomId)) > 0) {
+      return current;
+    }
+
+    await this.client.set(this.key('mode', roomId), JSON.stringify({ mode, nodeId: this.nodeId }));
+    return { mode, nodeId: this.nodeId, url: this.nodeUrl };
+  }
+
+  /**
+   * A room's mode as { mode, nodeId, url }, or null for an unknown room or
+   * one set by a node that is gone
+   */
+  async getRoomMode(roomId) {
+    const value = await this.client.get(this.key('mode', roomId));
+    if (!value) {
+      return null;
+    }
+
+    const { mode, nodeId } = JSON.parse(value);
+    const live = await this.getLiveNodes([nodeId]);
+    return live.has(nodeId) ? { mode, nodeId, url: live.get(nodeId).url } : null;
+  }
+
+  /**
+   * Append a chat message, keeping only the latest `limit` per room
+   */
+  async addChatMessage(roomId, message, limit) {
+    await this.client.multi()
+      .rPush(this.key('chat', roomId), JSON.stringify(message))
+      .lTrim(this.key('chat', roomId), -limit, -1)
+      .exec();
+  }
+
+  async getChatHistory(roomId) {
+    const values = await this.client.lRange(this.key('chat', roomId), 0, -1);
+    return values.map(value => JSON.parse(value));
+  }
+
+  /**
+   * Remove a chat message; returns it, or null if it is not in the history
+   */
+  async removeChatMessage(roomId, messageId) {
+    const values = await this.client.lRange(this.key('chat', roomId), 0, -1);
+    const value = values.find(entry => JSON.parse(entry).messageId === messageId);
+    if (!value || !(await this.client.lRem(this.key('chat', roomId), 1, value))) {
+      return null;
+    }
+    return JSON.parse(value);
+  }
+
+  async setStreamOwner(streamId) {
+    this.ownedStreams.add(streamId);
+    await this.client.set(this.key('stream', streamId), this.nodeId, { EX: NODE_TTL_SECONDS });
+  }
+
+  async removeStreamOwner(streamId) {
+    this.ownedStreams.delete(streamId);
+    await this.client.eval(DELETE_IF_EQUAL_SCRIPT, {
+      keys: [this.key('stream', streamId)],
+      arguments: [this.nodeId],
+    });
+  }
+
+  /**
+   * Node serving a stream: { nodeId, url } or null if no live node has it
+   */
+  async getStreamOwner(streamId) {
+    const nodeId = await this.client.get(this.key('stream', streamId));
+    if (!nodeId) {
+      return null;
+    }
+
+    const live = await this.getLiveNodes([nodeId]);
+    return live.has(nodeId) ? { nodeId, url: live.get(nodeId).url } : null;
+  }
+
+  async close() {
+    clearInterval(this.heartbeatTimer);
+    await Promise.all(this.adapterClients.map(client => client.quit()));
+    this.adapterClients = [];
+    if (this.client) {
+      await this.client.del(this.key('node', this.nodeId));
+      await this.client.quit();
+    }
+  }
+}
+
+export default RedisStateStore;
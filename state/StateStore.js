@@ -0,0 +1,40 @@
+// Shared state store
+//
+// State other replicas need to see when the server runs behind a load
+// balancer:
+//   - room membership (roomId -> userId -> { socketId, userType, nodeId })
+//   - bridge stream ownership (streamId -> node), for routing REST calls
+//   - live nodes and their public URLs
+//
+// The RoomRegistry stays the local index for sockets on this node and writes
+// through to the store. STATE_STORE selects the implementation: 'memory'
+// (default, single node) or 'redis' (REDIS_URL).
+
+import os from 'os';
+import MemoryStateStore from './MemoryStateStore.js';
+import RedisStateStore from './RedisStateStore.js';
+
+// Identity of this replica and the URL other nodes redirect bridge requests to
+export const NODE_ID = process.env.NODE_ID || `${os.hostname()}-${process.pid}`;
+export const NODE_URL = process.env.NODE_URL || null;
+
+const stores = {
+  memory: () => new MemoryStateStore({ nodeId: NODE_ID, nodeUrl: NODE_URL }),
+  redis: () => new RedisStateStore({
+    nodeId: NODE_ID,
+    nodeUrl: NODE_URL,
+    url: process.env.REDIS_URL || 'redis://localhost:6379',
+    prefix: process.env.REDIS_PREFIX || 'signaling:',
+  }),
+};
+
+function createStateStore() {
+  const name = process.env.STATE_STORE || 'memory';
+  const factory = stores[name];
+  if (!factory) {
+    throw new Error(`Unknown STATE_STORE "${name}"`);
+  }
+  return factory();
+}
+
+export default createStateStore();
@@ -0,0 +1,132 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import MemoryStateStore from './MemoryStateStore.js';
+import RedisStateStore from './RedisStateStore.js';
+
+const member = (userId, socketId, extra = {}) => ({
+  roomId: 'room-1',
+  socketId,
+  userId,
+  userType: 'viewer',
+  joinedAt: new Date().toISOString(),
+  ...extra,
+});
+
+/**
+ * Behavior every state store implementation shares
+ */
+function describeStore(name, createStore) {
+  describe(`${name} state store`, () => {
+    let store;
+
+    before(async () => {
+      store = createStore('node-a');
+      await store.connect();
+    });
+
+    after(() => store?.close());
+
+    test('reports room creation and emptying once', async () => {
+      assert.equal(await store.addMember(member('alice', 's1')), true);
+      assert.equal(await store.addMember(member('bob', 's2')), false);
+      assert.equal(await store.getRoomSize('room-1'), 2);
+
+      assert.equal(await store.removeMember('room-1', 'alice', 's1'), false);
+      assert.equal(await store.removeMember('room-1', 'bob', 's2'), true);
+      assert.deepEqual(await store.getRoomIds(), []);
+    });
+
+    test('does not remove a member that moved to another socket', async () => {
+      await store.addMember(member('alice', 's1'));
+      await store.addMember(member('alice', 's3'));
+
+      assert.equal(await store.removeMember('room-1', 'alice', 's1'), false);
+      assert.equal((await store.getMember('room-1', 'alice')).socketId, 's3');
+      assert.equal(await store.removeMember('room-1', 'alice', 's3'), true);
+    });
+
+    test('keeps the resume token hash and reconnect state of members', async () => {
+      const disconnectedAt = new Date().toISOString();
+      await store.addMember(member('alice', 's1', { resumeTokenHash: 'abc123', disconnectedAt }));
+
+      const stored = await store.getMember('room-1', 'alice');
+      assert.equal(stored.resumeTokenHash, 'abc123');
+      assert.equal(stored.disconnectedAt, disconnectedAt);
+      assert.equal(stored.nodeId, 'node-a');
+
+      await store.removeMember('room-1', 'alice', 's1');
+    });
+
+    test('the first participant picks the room mode until the room empties', async () => {
+      assert.equal((await store.claimRoomMode('room-1', 'sfu')).mode, 'sfu');
+      await store.addMember(member('alice', 's1'));
+
+      const claimed = await store.claimRoomMode('room-1', 'mesh');
+      assert.equal(claimed.mode, 'sfu');
+      assert.equal(claimed.nodeId, 'node-a');
+
+      await store.removeMember('room-1', 'alice', 's1');
+      assert.equal(await store.getRoomMode('room-1'), null);
+      assert.equal((await store.claimRoomMode('room-1', 'mesh')).mode, 'mesh');
+    });
+
+    test('a claim on a room without members replaces a stale mode', async () => {
+      await store.claimRoomMode('room-2', 'sfu');
+      assert.equal((await store.claimRoomMode('room-2', 'mesh')).mode, 'mesh');
+    });
+  });
+}
+
+describeStore('memory', nodeId => new MemoryStateStore({ nodeId, nodeUrl: null }));
+
+const redisOptions = nodeId => ({
+  nodeId,
+  nodeUrl: `http://${nodeId}.local`,
+  url: process.env.REDIS_URL,
+  prefix: `test-${process.pid}:`,
+});
+
+// Runs against a real Redis when REDIS_URL is set, e.g.
+//   REDIS_URL=redis://localhost:6379 npm test
+const skipRedis = process.env.REDIS_URL ? false : 'REDIS_URL is not set';
+
+if (!skipRedis) {
+  describeStore('redis', nodeId => new RedisStateStore(redisOptions(nodeId)));
+}
+
+describe('redis state store across nodes', { skip: skipRedis }, () => {
+  let nodeA;
+  let nodeB;
+
+  before(async () => {
+    nodeA = new RedisStateStore(redisOptions('node-a'));
+    nodeB = new RedisStateStore(redisOptions('node-b'));
+    await Promise.all([nodeA.connect(), nodeB.connect()]);
+  });
+
+  after(() => Promise.all([nodeA, nodeB].map(node => node?.close())));
+
+  test('members, room modes and stream owners are visible from every node', async () => {
+    await nodeA.claimRoomMode('shared', 'sfu');
+    await nodeA.addMember({ ...member('alice', 's1'), roomId: 'shared', resumeTokenHash: 'hash' });
+    await nodeA.setStreamOwner('stream-1');
+
+    assert.equal((await nodeB.getMember('shared', 'alice')).resumeTokenHash, 'hash');
+    assert.deepEqual(await nodeB.claimRoomMode('shared', 'mesh'), { mode: 'sfu', nodeId: 'node-a', url: 'http://node-a.local' });
+    assert.deepEqual(await nodeB.getStreamOwner('stream-1'), { nodeId: 'node-a', url: 'http://node-a.local' });
+  });
+
+  test('state of a node that stopped heartbeating is dropped', async () => {
+    await nodeA.close();
+    nodeA = null;
+
+    assert.equal(await nodeB.getMember('shared', 'alice'), null);
+    assert.equal(await nodeB.getStreamOwner('stream-1'), null);
+    assert.deepEqual(await nodeB.getRoomIds(), []);
+    assert.equal(await nodeB.getRoomMode('shared'), null);
+
+    await nodeB.removeDeadMembers();
+    const remaining = await nodeB.client.hGetAll(nodeB.key('room', 'shared'));
+    assert.equal(Object.keys(remaining).length, 0);
+  });
+});
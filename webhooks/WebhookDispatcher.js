@@ -0,0 +1,177 @@
+// Webhook Dispatcher
+//
+// POSTs lifecycle events (streams going live or ending, FFmpeg failures,
+// rooms, broadcasters) as JSON to every URL in WEBHOOK_URLS, so a backend can
+// react without polling the status endpoints. Each request carries:
+//
+//   X-Webhook-Id          event id, stable across retries (for deduplication)
+//   X-Webhook-Timestamp   unix seconds when the request was signed
+//   X-Webhook-Signature   sha256=<hex HMAC-SHA256 of "<timestamp>.<body>"
+//                         with WEBHOOK_SECRET>
+//
+// Failed deliveries (network errors, timeouts, 5xx, 408 and 429) are retried
+// with exponential backoff from WEBHOOK_RETRY_DELAY_MS, up to
+// WEBHOOK_MAX_ATTEMPTS attempts per endpoint. Deliveries that run out of
+// attempts, or are rejected with another 4xx, are appended to the dead-letter
+// log (WEBHOOK_DEAD_LETTER_FILE, one JSON object per line) for replaying. The
+// log keeps the full endpoint URL, which may carry credentials, so it is
+// created readable by the owner only; logs only ever show it redacted.
+
+import fs from 'fs';
+import { createHmac, randomUUID } from 'crypto';
+import { NODE_ID } from '../state/StateStore.js';
+import { webhookDeliveries } from '../metrics/metrics.js';
+import { createLogger, redactUrl } from '../logging/logger.js';
+
+const log = createLogger('webhooks');
+
+const RETRYABLE_STATUSES = [408, 429];
+
+/**
+ * Sign a request body: hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+export function signPayload(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Webhook Dispatcher
+ */
+class WebhookDispatcher {
+  constructor() {
+    this.urls = (process.env.WEBHOOK_URLS || '')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean);
+    this.secret = process.env.WEBHOOK_SECRET || null;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS ?? '5', 10);
+    this.retryDelayMs = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS ?? '1000', 10);
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS ?? '5000', 10);
+    this.deadLetterFile = process.env.WEBHOOK_DEAD_LETTER_FILE || './webhook-dead-letter.log';
+    this.pending = new Set(); // deliveries in flight or waiting to retry
+
+    if (this.urls.length > 0 && !this.secret) {
+      log.warn('WEBHOOK_SECRET is not set, webhooks are sent unsigned');
+    }
+  }
+
+  get enabled() {
+    return this.urls.length > 0;
+  }
+
+  /**
+   * Send an event to every endpoint. Returns immediately; delivery and
+   * retries happen in the background.
+   */
+  dispatch(type, data) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const event = {
+      id: randomUUID(),
+      type,
+      createdAt: new Date().toISOString(),
+      nodeId: NODE_ID,
+      data,
+    };
+
+    for (const url of this.urls) {
+      const delivery = this.deliver(url, event).finally(() => this.pending.delete(delivery));
+      this.pending.add(delivery);
+    }
+    return event;
+  }
+
+  /**
+   * Deliver one event to one endpoint, retrying with backoff
+   */
+  async deliver(url, event) {
+    const body = JSON.stringify(event);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      let retryable = true;
+      try {
+        const response = await this.post(url, event.id, body);
+        if (response.ok) {
+          webhookDeliveries.inc({ type: event.type, result: 'delivered' });
+          log.debug({ url: redactUrl(url), eventId: event.id, type: event.type, attempt }, 'Webhook delivered');
+          return;
+        }
+        lastError = `HTTP ${response.status}`;
+        retryable = response.status >= 500 || RETRYABLE_STATUSES.includes(response.status);
+      } catch (error) {
+        // fetch reports network errors as "fetch failed" with the detail in `cause`
+        lastError = error.name === 'TimeoutError'
+          ? `Timed out after ${this.timeoutMs}ms`
+          : error.cause?.message || error.message;
+      }
+
+      if (!retryable || attempt === this.maxAttempts) {
+        break;
+      }
+
+      const delayMs = this.retryDelayMs * 2 ** (attempt - 1);
+      webhookDeliveries.inc({ type: event.type, result: 'retried' });
+      log.warn({ url: redactUrl(url), eventId: event.id, type: event.type, attempt, delayMs, error: lastError }, 'Webhook delivery failed, retrying');
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+
+    webhookDeliveries.inc({ type: event.type, result: 'dead-lettered' });
+    await this.deadLetter(url, event, lastError);
+  }
+
+  async post(url, eventId, body) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'webrtc-signaling-server',
+      'X-Webhook-Id': eventId,
+      'X-Webhook-Timestamp': String(timestamp),
+    };
+    if (this.secret) {
+      headers['X-Webhook-Signature'] = `sha256=${signPayload(this.secret, timestamp, body)}`;
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    // The body is not used; drain it so the connection can be reused
+    await response.arrayBuffer().catch(() => {});
+    return response;
+  }
+
+  /**
+   * Record an undeliverable event in the dead-letter log
+   */
+  async deadLetter(url, event, error) {
+    log.error({ url: redactUrl(url), eventId: event.id, type: event.type, error }, 'Webhook dead-lettered');
+
+    const entry = { deadLetteredAt: new Date().toISOString(), url, error, event };
+    try {
+      await fs.promises.appendFile(this.deadLetterFile, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+    } catch (writeError) {
+      log.error({ err: writeError, file: this.deadLetterFile }, 'Failed to write webhook dead-letter log');
+    }
+  }
+
+  /**
+   * Number of deliveries in flight or waiting to retry
+   */
+  getPendingCount() {
+    return this.pending.size;
+  }
+
+  /**
+   * Wait for pending deliveries, including their retries (server shutdown)
+   */
+  async drain() {
+    await Promise.allSettled(Array.from(this.pending));
+  }
+}
+
+export default new WebhookDispatcher();
@@ -0,0 +1,88 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac, timingSafeEqual } from 'crypto';
+import { once } from 'events';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import webhooks, { signPayload } from './WebhookDispatcher.js';
+
+const SECRET = 'dev-secret';
+
+/**
+ * Verify a request the way the README tells receivers to
+ */
+function verifySignature(headers, body) {
+  const expected = createHmac('sha256', SECRET)
+    .update(`${headers['x-webhook-timestamp']}.${body}`)
+    .digest('hex');
+  const received = (headers['x-webhook-signature'] || '').replace(/^sha256=/, '');
+  return received.length === expected.length
+    && timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+}
+
+test('signPayload is the hex HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  // printf '1700000000.{"a":1}' | openssl dgst -sha256 -hmac dev-secret
+  assert.equal(
+    signPayload(SECRET, 1700000000, '{"a":1}'),
+    '81528f21e4bbfbf8126dae6ccb165f60a908ae2df81dd1d5def1b102278ab923'
+  );
+  assert.notEqual(signPayload(SECRET, 1700000001, '{"a":1}'), signPayload(SECRET, 1700000000, '{"a":1}'));
+});
+
+describe('webhook delivery', () => {
+  let receiver;
+  let baseUrl;
+  let tmpDir;
+  const requests = [];
+
+  before(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body });
+        res.statusCode = req.url.startsWith('/gone') ? 410 : 200;
+        res.end();
+      });
+    });
+    receiver.listen(0, '127.0.0.1');
+    await once(receiver, 'listening');
+    baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+    webhooks.secret = SECRET;
+    webhooks.maxAttempts = 1;
+    webhooks.deadLetterFile = path.join(tmpDir, 'dead-letter.log');
+  });
+
+  after(() => {
+    receiver.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('requests carry a signature receivers can verify', async () => {
+    webhooks.urls = [`${baseUrl}/hooks`];
+    const event = webhooks.dispatch('stream.live', { streamId: 'stream-1' });
+    await webhooks.drain();
+
+    const request = requests.find(entry => entry.headers['x-webhook-id'] === event.id);
+    assert.ok(verifySignature(request.headers, request.body));
+    assert.equal(JSON.parse(request.body).type, 'stream.live');
+    assert.equal(verifySignature({ ...request.headers, 'x-webhook-timestamp': '1' }, request.body), false);
+  });
+
+  test('dead letters keep the full URL in an owner-only file', async () => {
+    const url = `${baseUrl}/gone?token=replay-me`;
+    webhooks.urls = [url];
+    const event = webhooks.dispatch('stream.ended', { streamId: 'stream-1' });
+    await webhooks.drain();
+
+    const [entry] = fs.readFileSync(webhooks.deadLetterFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(entry.url, url);
+    assert.equal(entry.error, 'HTTP 410');
+    assert.equal(entry.event.id, event.id);
+    assert.equal(fs.statSync(webhooks.deadLetterFile).mode & 0o777, 0o600);
+  });
+});